@@ -1,159 +1,410 @@
 import React, { useEffect, useRef, useState } from "react";
+import AuctionDetail from "./AuctionDetail.jsx";
+import AuctionLobby from "./AuctionLobby.jsx";
+import { describeError, fetchJson } from "./api.js";
+import AuthPanel from "./AuthPanel.jsx";
+import DutchAuctionDetail from "./DutchAuctionDetail.jsx";
+import { authHeaders, getToken, setToken } from "./auth.js";
+import { createClockSync } from "./clockSync.js";
+import { ServerClockProvider } from "./countdown.jsx";
+import FlashSaleDetail from "./FlashSaleDetail.jsx";
+import { useRoute } from "./router.jsx";
+import SealedBidDetail from "./SealedBidDetail.jsx";
 
 const WS_URL = "ws://localhost:4000"; // 原生 WebSocket 地址
-
-function formatRemain(ms) {
-  if (ms <= 0) return "00:00";
-  const totalSeconds = Math.floor(ms / 1000);
-  const m = Math.floor(totalSeconds / 60);
-  const s = totalSeconds % 60;
-  const pad = (n) => (n < 10 ? "0" + n : n);
-  if (m >= 60) {
-    const h = Math.floor(m / 60);
-    const mm = m % 60;
-    return `${pad(h)}:${pad(mm)}:${pad(s)}`;
-  }
-  return `${pad(m)}:${pad(s)}`;
-}
+const BID_LADDER_SIZE = 10; // 出价记录最多展示的条数
+const RECONNECT_BASE_DELAY = 1000; // 断线重连的初始等待时间（毫秒）
+const RECONNECT_MAX_DELAY = 30000; // 断线重连的最长等待时间（毫秒）
+const DEFAULT_HEARTBEAT_INTERVAL = 30000; // 服务端心跳间隔，收到 heartbeat 后以服务端下发的为准
+const SILENCE_TOLERANCE = 2.5; // 超过多少个心跳周期没有收到任何消息，认为服务端已失联
+const TIME_SYNC_INTERVAL = 30000; // 定期重新校准时间的间隔（毫秒）
+// 只落审计日志、不会单独推送的事件：漏掉的只有这些时不需要重新同步
+const SILENT_EVENTS = ["bid_rejected", "proxy_set"];
+
+const CONNECTION_LABELS = {
+  connecting: "连接中...",
+  connected: "实时连接正常",
+  reconnecting: "连接已断开，正在重连...",
+};
 
 export default function App() {
+  const route = useRoute();
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
-  const [auction, setAuction] = useState(null); // 当前参与的活动
-  const [bidAmount, setBidAmount] = useState("");
+  const [auctions, setAuctions] = useState({}); // auctionId -> 拍卖信息
+  const [bidsByAuction, setBidsByAuction] = useState({}); // auctionId -> 最近的成功出价（新的在前）
+  const [presenceByAuction, setPresenceByAuction] = useState({}); // auctionId -> { viewers, bidders }
   const [message, setMessage] = useState("");
+  const [connectionState, setConnectionState] = useState("connecting"); // connecting | connected | reconnecting
+  const [user, setUser] = useState(null); // 当前登录用户 { id, username }，由 WebSocket 的 session 消息确认
   const wsRef = useRef(null);
+  // 登录 / 退出后用新的身份立即重建 WebSocket 连接
+  const reconnectRef = useRef(null);
+
+  // 当前所在页面（供 WebSocket 回调判断提示是否与当前详情页相关）
+  const routeRef = useRef(route);
+  routeRef.current = route;
+
+  // 当前连接已订阅的频道（"lobby" / "auction:{id}"），随页面切换 subscribe / unsubscribe
+  const subscribedRef = useRef(new Set());
+  const requestIdRef = useRef(0);
+
+  // auctionId -> 已收到的最后一次出价 id，断线重连后据此让服务端补发错过的出价
+  const lastBidIdsRef = useRef({});
+  const rememberBids = (auctionId, bids) => {
+    for (const bid of bids) {
+      if (bid.id > (lastBidIdsRef.current[auctionId] || 0)) {
+        lastBidIdsRef.current[auctionId] = bid.id;
+      }
+    }
+  };
 
-  // NTP 时间校准：本地时间偏移量（毫秒）
-  // 计算方式：offset = serverTime - clientTime
-  // 后续用 Date.now() + offset 来模拟服务端时间
-  const timeOffsetRef = useRef(0);
+  // auctionId -> 已收到的最后一条事件序号（seq），房间消息跳号时据此补齐
+  const lastSeqsRef = useRef({});
 
-  // requestAnimationFrame 相关
-  const rafIdRef = useRef(null);
-  const lastTimestampRef = useRef(null);
-  const endTimeRef = useRef(null);
+  // NTP 时间校准：多次采样取往返时延最小的样本计算偏移量，见 clockSync.js
+  // 后续用 Date.now() + offset 来模拟服务端时间，通过 ServerClockProvider 提供给所有倒计时
+  const clockRef = useRef(null);
+  if (!clockRef.current) {
+    clockRef.current = createClockSync();
+  }
+  const [clockState, setClockState] = useState(() =>
+    clockRef.current.getState()
+  );
+  useEffect(() => clockRef.current.subscribe(setClockState), []);
 
-  // 计算当前服务端时间（本地时间 + 偏移量）
-  const getServerNow = () => {
-    return Date.now() + timeOffsetRef.current;
+  // NTP 时间校准函数：WebSocket 已连接时走 WebSocket，否则走 HTTP 接口
+  // 校准失败时沿用上一次的偏移量
+  const syncTime = async () => {
+    const ws = wsRef.current;
+    try {
+      const { offset, error } =
+        ws && ws.readyState === WebSocket.OPEN
+          ? await clockRef.current.syncOverWs(ws)
+          : await clockRef.current.syncOverHttp();
+      console.log(`[NTP] 时间校准完成，偏移量: ${offset}ms，误差 ±${error}ms`);
+    } catch (err) {
+      console.error("时间同步失败，沿用当前偏移量:", err);
+    }
   };
 
-  // 剩余时间（毫秒）- 直接在 RAF 中更新
-  const [remainMs, setRemainMs] = useState(0);
+  // 局部更新某个拍卖（只更新已加载的拍卖）
+  const patchAuction = (auctionId, patch) => {
+    setAuctions((prev) => {
+      if (!prev[auctionId]) return prev;
+      return { ...prev, [auctionId]: { ...prev[auctionId], ...patch } };
+    });
+  };
 
-  // 使用 requestAnimationFrame 实现倒计时（避免 setInterval 掉帧）
-  useEffect(() => {
-    if (!auction || auction.status === "ended") {
-      if (rafIdRef.current) {
-        cancelAnimationFrame(rafIdRef.current);
-        rafIdRef.current = null;
-      }
-      lastTimestampRef.current = null;
-      endTimeRef.current = null;
-      setRemainMs(0);
-      return;
+  // 只在当前正在看这个拍卖的详情时展示提示，避免列表页被各个拍卖的消息刷屏
+  const notify = (auctionId, text) => {
+    const current = routeRef.current;
+    if (current.name === "auction" && current.auctionId === auctionId) {
+      setMessage(text);
     }
+  };
 
-    // 初始化结束时间
-    if (!endTimeRef.current) {
-      endTimeRef.current = new Date(auction.end_time).getTime();
-    }
+  useEffect(() => {
+    let timeSyncInterval = null;
+    let reconnectTimer = null;
+    let reconnectAttempt = 0;
+    let silenceTimer = null;
+    let heartbeatInterval = DEFAULT_HEARTBEAT_INTERVAL;
+    let disposed = false;
+
+    // 重新订阅某个拍卖：服务端会重新下发最新的 auctionData，并补发错过的出价
+    const resubscribe = (auctionId) => {
+      const ws = wsRef.current;
+      if (
+        !ws ||
+        ws.readyState !== WebSocket.OPEN ||
+        !subscribedRef.current.has(`auction:${auctionId}`)
+      ) {
+        return;
+      }
+      const sinceBidId = lastBidIdsRef.current[auctionId];
+      requestIdRef.current += 1;
+      ws.send(
+        JSON.stringify({
+          type: "subscribe",
+          requestId: requestIdRef.current,
+          payload: {
+            auctionIds: [auctionId],
+            sinceBidIds:
+              sinceBidId === undefined ? {} : { [auctionId]: sinceBidId },
+          },
+        })
+      );
+    };
 
-    // 初始化 lastTimestamp，使用当前时间
-    if (lastTimestampRef.current === null) {
-      lastTimestampRef.current = Date.now();
-    }
+    // 拉取漏掉的事件（since 之后、seq 之前），其中有会改变页面状态的就重新同步；拉取失败时直接重新同步
+    const catchUp = async (auctionId, since, seq) => {
+      try {
+        const { items } = await fetchJson(
+          `/api/auctions/${auctionId}/events?since=${since}&limit=${
+            seq - since - 1
+          }`
+        );
+        if (items.some((e) => !SILENT_EVENTS.includes(e.type))) {
+          console.warn(`[WS] 拍卖 ${auctionId} 漏掉了部分消息，重新同步`);
+          resubscribe(auctionId);
+        }
+      } catch (err) {
+        console.error("补齐漏掉的拍卖事件失败：", err);
+        resubscribe(auctionId);
+      }
+    };
 
-    // 立即计算一次剩余时间
-    const updateRemainTime = () => {
-      if (!endTimeRef.current) return;
-      const serverNow = getServerNow();
-      const remain = endTimeRef.current - serverNow;
-      setRemainMs(remain > 0 ? remain : 0);
-      return remain;
+    // 房间消息带有拍卖内连续递增的事件序号 seq，跳号说明中间有事件没收到（被拒绝的出价等不推送的事件也会占号）
+    // 并发时消息可能乱序到达，序号不大于已收到的就不再检查
+    const checkSeq = (auctionId, seq) => {
+      const last = lastSeqsRef.current[auctionId];
+      if (last !== undefined && seq <= last) return;
+      lastSeqsRef.current[auctionId] = seq;
+      if (last !== undefined && seq > last + 1) {
+        catchUp(auctionId, last, seq);
+      }
     };
 
-    // 立即更新一次
-    updateRemainTime();
-
-    const animate = () => {
-      const now = Date.now();
-
-      // 计算真实经过的时间（毫秒）
-      const deltaTime = now - lastTimestampRef.current;
-
-      // 每 100ms 更新一次剩余时间（避免过于频繁的重渲染）
-      // 注意：只有当满足条件时才更新时间戳，这样 deltaTime 才能累积
-      if (deltaTime >= 100) {
-        // 只有满足条件时才更新时间戳
-        lastTimestampRef.current = now;
-
-        const remain = updateRemainTime();
-
-        // 检查是否已结束
-        if (remain <= 0) {
-          setAuction((prev) => {
-            if (!prev) return prev;
-            return { ...prev, status: "ended" };
-          });
-          setRemainMs(0);
-          if (rafIdRef.current) {
-            cancelAnimationFrame(rafIdRef.current);
-            rafIdRef.current = null;
+    const handleMessage = (event) => {
+      let msg;
+      try {
+        msg = JSON.parse(event.data);
+      } catch (e) {
+        console.error("收到非 JSON 消息：", event.data);
+        return;
+      }
+      const { type, data } = msg || {};
+      if (data && typeof data.seq === "number") {
+        checkSeq(data.auctionId, data.seq);
+      }
+
+      if (type === "session") {
+        // 本地保存的 token 已失效（过期或已退出），按未登录处理
+        if (data.reason === "invalid_token") {
+          setToken(null);
+        }
+        setUser(data.user || null);
+      } else if (type === "timeSync") {
+        clockRef.current.handleWsReply(data);
+      } else if (type === "heartbeat") {
+        heartbeatInterval = data.interval || DEFAULT_HEARTBEAT_INTERVAL;
+      } else if (type === "lobbySnapshot") {
+        setAuctions((prev) => {
+          const next = { ...prev };
+          for (const item of data.auctions) {
+            next[item.id] = item;
           }
-          return;
+          return next;
+        });
+      } else if (type === "auctionSummary") {
+        // lobby 频道推送的摘要（包括新创建的拍卖）
+        setAuctions((prev) => ({
+          ...prev,
+          [data.auction.id]: { ...prev[data.auction.id], ...data.auction },
+        }));
+      } else if (type === "subscribed" || type === "unsubscribed") {
+        if (data.errors && data.errors.length > 0) {
+          console.warn(`[WS] ${type} 部分失败：`, data.errors);
         }
+      } else if (type === "error") {
+        console.error("[WS] 服务端返回错误：", data);
+        // 消息发得太快被限流时提示用户；其余错误属于协议层面的问题，只记日志
+        if (data.code === "RATE_LIMITED") {
+          setMessage(describeError(data));
+        }
+      } else if (type === "auctionData") {
+        setAuctions((prev) => ({
+          ...prev,
+          [data.auction.id]: data.auction,
+        }));
+        setBidsByAuction((prev) => ({
+          ...prev,
+          [data.auction.id]: data.recentBids || [],
+        }));
+        rememberBids(data.auction.id, data.recentBids || []);
+        // 以快照为准重新开始检查事件序号
+        lastSeqsRef.current[data.auction.id] = data.auction.event_seq;
+        // 断线重连后服务端补发的、断线期间错过的出价
+        if (data.missedBids && data.missedBids.length > 0) {
+          rememberBids(data.auction.id, data.missedBids);
+          notify(
+            data.auction.id,
+            `断线期间有 ${data.missedBids.length} 次新出价，已同步最新价格`
+          );
+        }
+      } else if (type === "bidUpdate" && data.sealed) {
+        // 密封出价只广播份数，金额和出价人在结束前都不公开
+        patchAuction(data.auctionId, { sealed_bid_count: data.bidCount });
+        notify(data.auctionId, `收到新的密封出价，共 ${data.bidCount} 份`);
+      } else if (type === "bidUpdate") {
+        patchAuction(data.auctionId, {
+          current_price: data.newPrice,
+          reserve_met: data.reserveMet,
+        });
+        if (data.bid) {
+          rememberBids(data.auctionId, [data.bid]);
+          setBidsByAuction((prev) => ({
+            ...prev,
+            [data.auctionId]: [
+              data.bid,
+              ...(prev[data.auctionId] || []).filter(
+                (b) => b.id !== data.bid.id
+              ),
+            ].slice(0, BID_LADDER_SIZE),
+          }));
+        }
+        notify(
+          data.auctionId,
+          `用户 ${data.userId} 出价成功：${data.newPrice}`
+        );
+      } else if (type === "stockUpdate") {
+        // 秒杀有人下单：同步剩余库存
+        patchAuction(data.auctionId, { stock: data.stock });
+        notify(
+          data.auctionId,
+          data.stock > 0
+            ? `${data.userId} 抢到了 ${data.quantity} 件，剩余 ${data.stock} 件`
+            : `${data.userId} 抢到了最后 ${data.quantity} 件，已售罄`
+        );
+      } else if (type === "auctionExtended") {
+        // 防狙击顺延：更新结束时间，倒计时随之对齐
+        // 若本地倒计时已先一步归零，这里一并恢复为 running
+        patchAuction(data.auctionId, {
+          end_time: data.endTime,
+          status: "running",
+        });
+        notify(
+          data.auctionId,
+          `临近结束有新出价，结束时间顺延至 ${new Date(
+            data.endTime
+          ).toLocaleTimeString()}`
+        );
+      } else if (type === "auctionStarted") {
+        patchAuction(data.auctionId, {
+          ...data.auction,
+          status: "running",
+        });
+        notify(data.auctionId, "拍卖已开始，可以出价了");
+      } else if (type === "auctionUpdated") {
+        // 管理端修改了拍卖（起止时间 / 价格等），倒计时随之对齐
+        patchAuction(data.auctionId, data.auction);
+        notify(data.auctionId, "拍卖信息已被管理员更新");
+      } else if (type === "auctionCancelled") {
+        patchAuction(data.auctionId, { status: "cancelled" });
+        notify(
+          data.auctionId,
+          data.reason ? `拍卖已取消：${data.reason}` : "拍卖已取消"
+        );
+      } else if (type === "presence") {
+        setPresenceByAuction((prev) => ({
+          ...prev,
+          [data.auctionId]: { viewers: data.viewers, bidders: data.bidders },
+        }));
+      } else if (type === "auctionEnded") {
+        patchAuction(data.auctionId, {
+          status: "ended",
+          outcome: data.outcome,
+          winner_user_id: data.winner,
+          final_price: data.finalPrice,
+          settled_at: data.settledAt,
+        });
+        notify(
+          data.auctionId,
+          data.winner
+            ? `拍卖已结束，${data.winner} 以 ¥${Number(data.finalPrice).toFixed(
+                2
+              )} 拍得`
+            : data.outcome === "sold"
+            ? "拍卖已结束，已成交"
+            : "拍卖已结束，流拍"
+        );
       }
+    };
 
-      rafIdRef.current = requestAnimationFrame(animate);
+    // 建立 WebSocket 连接，具体订阅哪些频道随页面切换决定；断开后按指数退避自动重连
+    const connect = () => {
+      const token = getToken();
+      const ws = new WebSocket(
+        token ? `${WS_URL}?token=${encodeURIComponent(token)}` : WS_URL
+      );
+      wsRef.current = ws;
+
+      ws.onopen = () => {
+        reconnectAttempt = 0;
+        watchSilence(ws);
+        // 新连接上没有任何订阅，订阅 effect 会随 connectionState 变化重新订阅
+        subscribedRef.current = new Set();
+        setConnectionState("connected");
+      };
+
+      ws.onmessage = (event) => {
+        watchSilence(ws);
+        handleMessage(event);
+      };
+
+      ws.onclose = handleDisconnect;
+
+      ws.onerror = (err) => {
+        console.error("WebSocket 错误：", err);
+      };
     };
 
-    rafIdRef.current = requestAnimationFrame(animate);
+    const handleDisconnect = () => {
+      clearTimeout(silenceTimer);
+      subscribedRef.current = new Set();
+      if (disposed) return;
+      setConnectionState("reconnecting");
+      scheduleReconnect();
+    };
 
-    return () => {
-      if (rafIdRef.current) {
-        cancelAnimationFrame(rafIdRef.current);
-        rafIdRef.current = null;
-      }
-      lastTimestampRef.current = null;
+    // 服务端失联检测：半开连接上浏览器可能很久都不会触发 onclose，
+    // 超过若干个心跳周期没收到任何消息（包括 heartbeat），就主动断开并走重连流程
+    const watchSilence = (ws) => {
+      clearTimeout(silenceTimer);
+      silenceTimer = setTimeout(() => {
+        console.warn("[WS] 长时间未收到服务端消息，主动重连");
+        ws.onclose = null;
+        ws.onmessage = null;
+        ws.close();
+        handleDisconnect();
+      }, heartbeatInterval * SILENCE_TOLERANCE);
     };
-  }, [auction]);
 
-  // NTP 时间校准函数
-  const syncTime = async () => {
-    const clientTime = Date.now();
-    try {
-      const res = await fetch("/api/time-sync", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ clientTime }),
-      });
-      if (!res.ok) {
-        throw new Error("时间同步失败");
+    reconnectRef.current = () => {
+      const ws = wsRef.current;
+      if (!ws || disposed) return;
+      ws.onclose = null;
+      ws.onmessage = null;
+      ws.close();
+      clearTimeout(silenceTimer);
+      if (reconnectTimer) {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
       }
-      const { serverTime, clientTime: receivedClientTime } = await res.json();
-      // 计算偏移量：offset = serverTime - clientTime
-      const offset = serverTime - receivedClientTime;
-      timeOffsetRef.current = offset;
-      console.log(`[NTP] 时间校准完成，偏移量: ${offset}ms`);
-      return offset;
-    } catch (err) {
-      console.error("时间同步失败，使用默认偏移量 0:", err);
-      timeOffsetRef.current = 0;
-      return 0;
-    }
-  };
-
-  // 根据服务端时间字符串更新偏移量（用于 WebSocket 推送的时间校准）
-  const updateTimeOffsetFromServerTime = (serverTimeStr) => {
-    const serverTime = new Date(serverTimeStr).getTime();
-    const clientTime = Date.now();
-    timeOffsetRef.current = serverTime - clientTime;
-  };
+      subscribedRef.current = new Set();
+      setConnectionState("connecting");
+      connect();
+    };
 
-  useEffect(() => {
-    let timeSyncInterval = null;
+    const scheduleReconnect = () => {
+      // 指数退避：1s、2s、4s……最长 30s，并加上 ±20% 的随机抖动，避免服务重启后所有客户端同时重连
+      const delay =
+        Math.min(
+          RECONNECT_MAX_DELAY,
+          RECONNECT_BASE_DELAY * 2 ** reconnectAttempt
+        ) *
+        (0.8 + Math.random() * 0.4);
+      reconnectAttempt += 1;
+      reconnectTimer = setTimeout(async () => {
+        reconnectTimer = null;
+        // 断线期间本地时钟可能漂移，重连前重新校准一次
+        await syncTime();
+        if (!disposed) {
+          connect();
+        }
+      }, delay);
+    };
 
     async function init() {
       try {
@@ -164,109 +415,29 @@ export default function App() {
         await syncTime();
 
         // 第二步：获取拍卖列表
-        const listRes = await fetch("/api/auctions");
-        if (!listRes.ok) {
+        const list = await fetchJson("/api/auctions");
+        if (!Array.isArray(list)) {
           throw new Error("获取拍卖列表失败");
         }
-        const list = await listRes.json();
-        if (!Array.isArray(list) || list.length === 0) {
-          throw new Error("当前没有任何拍卖，请检查后端或数据库");
-        }
-        const first = list[0];
-
-        // 第三步：获取拍卖详情
-        const detailRes = await fetch(`/api/auctions/${first.id}`);
-        if (!detailRes.ok) {
-          throw new Error("获取拍卖详情失败");
-        }
-        const detail = await detailRes.json();
-
-        // 用服务端返回的时间再次校准（更精确）
-        updateTimeOffsetFromServerTime(detail.serverTime);
-
-        setAuction(detail.auction);
-        endTimeRef.current = new Date(detail.auction.end_time).getTime();
-        // 立即计算一次剩余时间
-        const serverNow = getServerNow();
-        const remain = endTimeRef.current - serverNow;
-        setRemainMs(remain > 0 ? remain : 0);
-        setBidAmount(String(Number(detail.auction.current_price) + 1));
-
-        // 第四步：建立 WebSocket 连接
-        const ws = new WebSocket(WS_URL);
-        wsRef.current = ws;
-
-        ws.onopen = () => {
-          setMessage("已连接到实时服务器（WebSocket）");
-          ws.send(
-            JSON.stringify({
-              type: "joinAuction",
-              payload: { auctionId: detail.auction.id },
-            })
-          );
-        };
-
-        ws.onmessage = (event) => {
-          let msg;
-          try {
-            msg = JSON.parse(event.data);
-          } catch (e) {
-            console.error("收到非 JSON 消息：", event.data);
-            return;
+        setAuctions((prev) => {
+          const next = { ...prev };
+          for (const item of list) {
+            next[item.id] = { ...item, ...prev[item.id] };
           }
-          const { type, data } = msg || {};
-
-          if (type === "auctionData") {
-            setAuction(data.auction);
-            updateTimeOffsetFromServerTime(data.serverTime);
-            endTimeRef.current = new Date(data.auction.end_time).getTime();
-            // 立即更新倒计时
-            const serverNow = getServerNow();
-            const remain = endTimeRef.current - serverNow;
-            setRemainMs(remain > 0 ? remain : 0);
-          } else if (type === "bidUpdate") {
-            setAuction((prev) => {
-              if (!prev || prev.id !== data.auctionId) return prev;
-              return {
-                ...prev,
-                current_price: data.newPrice,
-              };
-            });
-            updateTimeOffsetFromServerTime(data.serverTime);
-            // 立即更新倒计时
-            if (endTimeRef.current) {
-              const serverNow = getServerNow();
-              const remain = endTimeRef.current - serverNow;
-              setRemainMs(remain > 0 ? remain : 0);
-            }
-            setMessage(`用户 ${data.userId} 出价成功：${data.newPrice}`);
-            setBidAmount(String(Number(data.newPrice) + 1));
-          } else if (type === "auctionEnded") {
-            setAuction((prev) => {
-              if (!prev || prev.id !== data.auctionId) return prev;
-              return { ...prev, status: "ended" };
-            });
-            updateTimeOffsetFromServerTime(data.serverTime);
-            setRemainMs(0);
-            setMessage("拍卖已结束");
-          }
-        };
-
-        ws.onclose = () => {
-          setMessage("与实时服务器断开连接");
-        };
+          return next;
+        });
 
-        ws.onerror = (err) => {
-          console.error("WebSocket 错误：", err);
-        };
+        // 第三步：建立 WebSocket 连接
+        if (disposed) return;
+        connect();
 
         // 定期重新校准时间（每30秒一次）
         timeSyncInterval = setInterval(async () => {
           await syncTime();
-        }, 30000);
+        }, TIME_SYNC_INTERVAL);
       } catch (e) {
         console.error(e);
-        setError(e.message || "初始化失败");
+        setError(describeError(e, "初始化失败"));
       } finally {
         setLoading(false);
       }
@@ -274,15 +445,16 @@ export default function App() {
 
     init();
 
-    return () => {  
-      // 关闭WebSocket连接、取消动画帧、清除时间同步定时器
+    return () => {
+      // 关闭WebSocket连接，并停止自动重连
+      disposed = true;
+      clearTimeout(silenceTimer);
+      if (reconnectTimer) {
+        clearTimeout(reconnectTimer);
+      }
       if (wsRef.current) {
         wsRef.current.close();
       }
-      // 取消动画帧
-      if (rafIdRef.current) {
-        cancelAnimationFrame(rafIdRef.current);
-      }
       // 清除时间同步定时器
       if (timeSyncInterval) {
         clearInterval(timeSyncInterval);
@@ -290,115 +462,196 @@ export default function App() {
     };
   }, []);
 
-  const handleBid = async (e) => {
-    e.preventDefault();
-    if (!auction) return;
-    const amount = Number(bidAmount);
-    if (!amount || amount <= 0) {
-      setMessage("请输入有效的出价金额");
-      return;
+  const handleLogin = (token, loggedInUser) => {
+    setToken(token);
+    setUser(loggedInUser);
+    if (reconnectRef.current) {
+      reconnectRef.current();
     }
+  };
+
+  const handleLogout = async () => {
     try {
-      setMessage("出价中...");
-      const res = await fetch(`/api/auctions/${auction.id}/bid`, {
+      await fetchJson("/api/auth/logout", {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          amount,
-          userId: "user-" + Math.floor(Math.random() * 1000),
-        }),
+        headers: authHeaders(),
       });
-      const data = await res.json();
-      if (!res.ok) {
-        throw new Error(data.message || "出价失败");
-      }
-      setMessage("出价成功，等待广播同步...");
     } catch (err) {
-      console.error(err);
-      setMessage(err.message || "出价失败");
+      // 会话已过期时服务端返回 UNAUTHORIZED，同样视为已退出
+      if (err.code !== "UNAUTHORIZED") {
+        console.error("退出登录失败：", err);
+      }
+    }
+    setToken(null);
+    setUser(null);
+    if (reconnectRef.current) {
+      reconnectRef.current();
     }
   };
 
+  const detailId = route.name === "auction" ? route.auctionId : null;
+
+  // 进入详情页时拉取一次详情（直接打开分享链接时列表里可能还没有这个拍卖）
+  useEffect(() => {
+    if (!detailId) return;
+    let cancelled = false;
+    setMessage("");
+
+    async function loadDetail() {
+      try {
+        const detail = await fetchJson(`/api/auctions/${detailId}`);
+        if (cancelled) return;
+
+        setAuctions((prev) => ({
+          ...prev,
+          [detail.auction.id]: detail.auction,
+        }));
+      } catch (e) {
+        console.error(e);
+        if (!cancelled) {
+          setError(describeError(e, "获取拍卖详情失败"));
+        }
+      }
+    }
+
+    loadDetail();
+
+    return () => {
+      cancelled = true;
+      setError("");
+    };
+  }, [detailId]);
+
+  // 列表页订阅 lobby 频道（所有拍卖的摘要），详情页只订阅当前拍卖；切换页面时退订不再需要的
+  useEffect(() => {
+    const ws = wsRef.current;
+    if (
+      connectionState !== "connected" ||
+      !ws ||
+      ws.readyState !== WebSocket.OPEN
+    ) {
+      return;
+    }
+
+    const wanted = new Set(detailId ? [`auction:${detailId}`] : ["lobby"]);
+    const toPayload = (keys) => {
+      const auctionIds = keys
+        .filter((key) => key.startsWith("auction:"))
+        .map((key) => Number(key.slice("auction:".length)));
+      // 带上每个拍卖最后看到的出价 id，重连后服务端会补发这之后的出价
+      const sinceBidIds = {};
+      for (const id of auctionIds) {
+        if (lastBidIdsRef.current[id] !== undefined) {
+          sinceBidIds[id] = lastBidIdsRef.current[id];
+        }
+      }
+      return { auctionIds, lobby: keys.includes("lobby"), sinceBidIds };
+    };
+    const send = (type, keys) => {
+      if (keys.length === 0) return;
+      requestIdRef.current += 1;
+      ws.send(
+        JSON.stringify({
+          type,
+          requestId: requestIdRef.current,
+          payload: toPayload(keys),
+        })
+      );
+    };
+
+    send(
+      "unsubscribe",
+      [...subscribedRef.current].filter((key) => !wanted.has(key))
+    );
+    send(
+      "subscribe",
+      [...wanted].filter((key) => !subscribedRef.current.has(key))
+    );
+    subscribedRef.current = wanted;
+  }, [connectionState, detailId]);
+
+  // 详情页操作失败的统一处理：按错误码同步本地状态，再展示提示
+  const handleApiError = (err) => {
+    console.error(err);
+    const details = err.details || {};
+    if (err.code === "UNAUTHORIZED") {
+      // 会话已失效，回到未登录状态
+      setToken(null);
+      setUser(null);
+    }
+    // 出价过低或被抢先时带回了最新价格，据此刷新价格和建议出价
+    if (typeof details.currentPrice === "number") {
+      patchAuction(detailId, { current_price: details.currentPrice });
+    }
+    // 秒杀库存不足或售罄时带回了最新库存
+    if (typeof details.stock === "number") {
+      patchAuction(detailId, { stock: details.stock });
+    }
+    setMessage(describeError(err));
+  };
+
+  const detailAuction = detailId ? auctions[detailId] : null;
+  const auctionList = Object.values(auctions).sort((a, b) => a.id - b.id);
+  // 竞价和秒杀详情页共用的属性
+  const detailProps = {
+    auction: detailAuction,
+    presence: presenceByAuction[detailId],
+    user,
+    clockState,
+    online: connectionState === "connected",
+    message,
+    onMessage: setMessage,
+    onAuctionChange: (patch) => patchAuction(detailId, patch),
+    onApiError: handleApiError,
+  };
+
   return (
-    <div className="page">
-      <div className="card">
-        <h1>竞价倒计时多端同步 Demo</h1>
-        <p className="sub-title">React + Node.js + Socket.io + MySQL</p>
-
-        {loading && <p>加载中...</p>}
-        {error && <p className="error">{error}</p>}
-
-        {auction && (
-          <>
-            <div className="section">
-              <h2>拍卖信息</h2>
-              <p>
-                <strong>名称：</strong>
-                {auction.name}
-              </p>
-              <p>
-                <strong>当前价格：</strong>
-                <span className="price">
-                  ¥{Number(auction.current_price).toFixed(2)}
-                </span>
-              </p>
-              <p>
-                <strong>状态：</strong>
-                <span className={`status status-${auction.status}`}>
-                  {auction.status}
-                </span>
-              </p>
-              <p>
-                <strong>开始时间：</strong>
-                {new Date(auction.start_time).toLocaleString()}
-              </p>
-              <p>
-                <strong>结束时间：</strong>
-                {new Date(auction.end_time).toLocaleString()}
-              </p>
-            </div>
-
-            <div className="section">
-              <h2>倒计时（以服务端时间为准）</h2>
-              <div className="countdown">
-                {auction.status === "ended" || remainMs <= 0
-                  ? "已结束"
-                  : formatRemain(remainMs)}
-              </div>
-              <p className="hint">
-                当前服务端时间：{new Date(getServerNow()).toLocaleString()}
-                <br />
-                <small>时间偏移量: {timeOffsetRef.current}ms</small>
-              </p>
-            </div>
-
-            <div className="section">
-              <h2>出价</h2>
-              {auction.status === "ended" || remainMs <= 0 ? (
-                <p>拍卖已结束，无法继续出价。</p>
-              ) : (
-                <form onSubmit={handleBid} className="bid-form">
-                  <input
-                    type="number"
-                    min="0"
-                    step="0.01"
-                    value={bidAmount}
-                    onChange={(e) => setBidAmount(e.target.value)}
-                  />
-                  <button type="submit">出价</button>
-                </form>
-              )}
-            </div>
-
-            {message && (
-              <div className="section">
-                <h2>系统提示</h2>
-                <p>{message}</p>
-              </div>
+    <ServerClockProvider clock={clockRef.current}>
+      <div className="page">
+        <div className="card">
+          <h1>竞价倒计时多端同步 Demo</h1>
+          <p className="sub-title">
+            React + Node.js + Socket.io + MySQL
+            {!loading && !error && (
+              <span className={`connection connection-${connectionState}`}>
+                {CONNECTION_LABELS[connectionState]}
+              </span>
             )}
-          </>
-        )}
+          </p>
+
+          <AuthPanel
+            user={user}
+            onLogin={handleLogin}
+            onLogout={handleLogout}
+          />
+
+          {loading && <p>加载中...</p>}
+          {error && <p className="error">{error}</p>}
+
+          {!loading &&
+            !error &&
+            (detailId ? (
+              detailAuction ? (
+                detailAuction.type === "flash_sale" ? (
+                  <FlashSaleDetail {...detailProps} />
+                ) : detailAuction.type === "dutch" ? (
+                  <DutchAuctionDetail {...detailProps} />
+                ) : detailAuction.type === "sealed" ? (
+                  <SealedBidDetail {...detailProps} />
+                ) : (
+                  <AuctionDetail
+                    {...detailProps}
+                    bids={bidsByAuction[detailId] || []}
+                  />
+                )
+              ) : (
+                <p>加载中...</p>
+              )
+            ) : (
+              <AuctionLobby auctions={auctionList} />
+            ))}
+        </div>
       </div>
-    </div>
+    </ServerClockProvider>
   );
 }
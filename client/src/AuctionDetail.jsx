@@ -0,0 +1,272 @@
+import React, { useEffect, useRef, useState } from "react";
+import { fetchJson } from "./api.js";
+import { authHeaders } from "./auth.js";
+import { useCountdown, useServerClock } from "./countdown.jsx";
+import {
+  BackLink,
+  CountdownSection,
+  MessageSection,
+  SaleResult,
+} from "./DetailSections.jsx";
+import {
+  getCountdownTarget,
+  getEffectiveStatus,
+  getMinIncrement,
+  getMinNextBid,
+  getTopBid,
+} from "./utils.js";
+
+const OUTCOME_LABELS = { sold: "已成交", unsold: "流拍" };
+
+// 拍卖详情：倒计时 + 出价 + 出价记录
+export default function AuctionDetail({
+  auction,
+  bids,
+  presence,
+  user,
+  clockState,
+  online,
+  message,
+  onMessage,
+  onAuctionChange,
+  onApiError,
+}) {
+  const [bidAmount, setBidAmount] = useState("");
+  const [proxyMode, setProxyMode] = useState(false); // 勾选后提交的金额作为自动出价上限
+  const [proxyMax, setProxyMax] = useState(null); // 自己在当前拍卖的自动出价上限
+  const username = user ? user.username : null;
+  const topBid = getTopBid(bids);
+  const topBidder = topBid ? topBid.user_id : null;
+  const isLeading = !!username && topBidder === username;
+  const hasBid = !!username && bids.some((bid) => bid.user_id === username);
+
+  // 自己原本是最高出价者、被他人超越时提示一次
+  const prevTopBidderRef = useRef(topBidder);
+  useEffect(() => {
+    if (
+      username &&
+      prevTopBidderRef.current === username &&
+      topBidder &&
+      topBidder !== username
+    ) {
+      onMessage(`你的出价已被 ${topBidder} 超越`);
+    }
+    prevTopBidderRef.current = topBidder;
+  }, [topBidder, username]);
+
+  // 登录用户进入详情页时查询自己的自动出价上限（不公开，只有自己能看到）
+  useEffect(() => {
+    setProxyMax(null);
+    if (!username) return;
+    let cancelled = false;
+    fetchJson(`/api/auctions/${auction.id}/proxy`, { headers: authHeaders() })
+      .then((data) => {
+        if (!cancelled && data) {
+          setProxyMax(data.maxAmount);
+        }
+      })
+      .catch((err) => console.error("获取自动出价上限失败：", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [auction.id, username]);
+
+  // 价格或加价规则变化（自己或他人出价、管理端修改）后，按加价规则给出下一口最低出价
+  const minBid = getMinNextBid(auction);
+  useEffect(() => {
+    setBidAmount(String(minBid));
+  }, [auction.id, minBid]);
+
+  // 倒计时每次刷新都会重新渲染，到点后按服务端时间推算的状态随之切换
+  const clock = useServerClock();
+  const status = getEffectiveStatus(auction, clock.now());
+  const { remaining: remainMs } = useCountdown(
+    status === "pending" || status === "running"
+      ? getCountdownTarget({ ...auction, status })
+      : null
+  );
+
+  const handleBid = async (e) => {
+    e.preventDefault();
+    const amount = Number(bidAmount);
+    if (!amount || amount <= 0) {
+      onMessage("请输入有效的出价金额");
+      return;
+    }
+    // 已经领先时设置自动出价只是提高上限，不受最低出价限制，交给服务端校验
+    if (amount < minBid && !(proxyMode && isLeading)) {
+      onMessage(`出价至少为 ¥${minBid.toFixed(2)}`);
+      return;
+    }
+    try {
+      onMessage("出价中...");
+      const data = await fetchJson(`/api/auctions/${auction.id}/bid`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...authHeaders() },
+        body: JSON.stringify(proxyMode ? { maxAmount: amount } : { amount }),
+      });
+      if (proxyMode) {
+        setProxyMax(data.maxAmount);
+        onMessage(data.message);
+        return;
+      }
+      onMessage("出价成功，等待广播同步...");
+    } catch (err) {
+      // 出价过低或被抢先时会按最新价格重新给出建议出价
+      onApiError(err);
+    }
+  };
+
+  return (
+    <>
+      <BackLink />
+
+      <div className="section">
+        <h2>拍卖信息</h2>
+        <p>
+          <strong>名称：</strong>
+          {auction.name}
+        </p>
+        <p>
+          <strong>当前价格：</strong>
+          <span className="price">
+            ¥{Number(auction.current_price).toFixed(2)}
+          </span>
+        </p>
+        {isLeading ? (
+          <p className="bid-standing bid-standing-leading">
+            你是当前最高出价者
+          </p>
+        ) : hasBid || proxyMax !== null ? (
+          <p className="bid-standing bid-standing-outbid">你的出价已被超越</p>
+        ) : null}
+        <p>
+          <strong>最低加价：</strong>¥{getMinIncrement(auction).toFixed(2)}
+        </p>
+        {!!auction.has_reserve && (
+          <p>
+            <strong>保留价：</strong>
+            {auction.reserve_met ? "已达到" : "未达到"}
+          </p>
+        )}
+        <p>
+          <strong>状态：</strong>
+          <span className={`status status-${status}`}>{status}</span>
+          {status === "ended" && OUTCOME_LABELS[auction.outcome] && (
+            <span className={`outcome outcome-${auction.outcome}`}>
+              {OUTCOME_LABELS[auction.outcome]}
+            </span>
+          )}
+        </p>
+        <SaleResult auction={auction} status={status} username={username} />
+        <p>
+          <strong>开始时间：</strong>
+          {new Date(auction.start_time).toLocaleString()}
+        </p>
+        <p>
+          <strong>结束时间：</strong>
+          {new Date(auction.end_time).toLocaleString()}
+        </p>
+      </div>
+
+      <CountdownSection
+        status={status}
+        remaining={remainMs}
+        presence={presence}
+        showBidders
+        clockState={clockState}
+      />
+
+      <div className="section">
+        <h2>出价</h2>
+        {status === "pending" ? (
+          <p>拍卖尚未开始，开始后即可出价。</p>
+        ) : status === "cancelled" ? (
+          <p>拍卖已取消，无法出价。</p>
+        ) : status === "ended" ? (
+          <p>拍卖已结束，无法继续出价。</p>
+        ) : (
+          <>
+            {/* 离线时看不到最新价格，先禁止出价，重连并同步后再恢复；未登录不能出价 */}
+            <form onSubmit={handleBid} className="bid-form">
+              <input
+                type="number"
+                min={minBid}
+                step="0.01"
+                value={bidAmount}
+                disabled={!online || !user}
+                onChange={(e) => setBidAmount(e.target.value)}
+              />
+              <button type="submit" disabled={!online || !user}>
+                {proxyMode ? "设置上限" : "出价"}
+              </button>
+            </form>
+            <label className="proxy-toggle">
+              <input
+                type="checkbox"
+                checked={proxyMode}
+                disabled={!online || !user}
+                onChange={(e) => setProxyMode(e.target.checked)}
+              />
+              自动出价：把金额作为最高上限，被超越时按最低加价自动跟价
+            </label>
+            {proxyMax !== null && (
+              <p className="hint">
+                你的自动出价上限：¥{Number(proxyMax).toFixed(2)}
+                {!isLeading &&
+                  Number(auction.current_price) >= proxyMax &&
+                  "（已被超越）"}
+              </p>
+            )}
+            {!user ? (
+              <p className="hint">登录后即可出价。</p>
+            ) : (
+              !online && (
+                <p className="hint">实时连接已断开，重连成功后即可继续出价。</p>
+              )
+            )}
+          </>
+        )}
+      </div>
+
+      <div className="section">
+        <h2>出价记录</h2>
+        {bids.length === 0 ? (
+          <p className="hint">暂无出价</p>
+        ) : (
+          <ul className="bid-ladder">
+            {bids.map((bid) => (
+              <li
+                key={bid.id}
+                className={
+                  [
+                    bid === topBid && "bid-ladder-top",
+                    bid.user_id === username && "bid-ladder-mine",
+                  ]
+                    .filter(Boolean)
+                    .join(" ") || undefined
+                }
+              >
+                <span className="bid-ladder-user">
+                  {bid.user_id}
+                  {bid.user_id === username && "（我）"}
+                  {!!bid.is_proxy && (
+                    <span className="bid-ladder-tag">自动</span>
+                  )}
+                </span>
+                <span className="bid-ladder-amount">
+                  ¥{Number(bid.amount).toFixed(2)}
+                </span>
+                <span className="bid-ladder-time">
+                  {new Date(bid.created_at).toLocaleTimeString()}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <MessageSection message={message} />
+    </>
+  );
+}
@@ -0,0 +1,92 @@
+import React from "react";
+import { Link } from "./router.jsx";
+import { useCountdown, useServerClock } from "./countdown.jsx";
+import {
+  formatRemain,
+  getCountdownTarget,
+  getDutchPrice,
+  getEffectiveStatus,
+} from "./utils.js";
+
+const TYPE_TAGS = { flash_sale: "秒杀", dutch: "荷兰式", sealed: "密封" };
+
+function describeEnded(auction, status) {
+  if (status === "cancelled") return "已取消";
+  if (auction.type === "flash_sale") {
+    return auction.outcome === "sold"
+      ? `已结束 · 售出 ${auction.total_stock - auction.stock} 件`
+      : "已结束";
+  }
+  if (auction.outcome === "sold") {
+    return `已结束 · ${auction.winner_user_id} 以 ¥${Number(
+      auction.final_price
+    ).toFixed(2)} 拍得`;
+  }
+  if (auction.outcome === "unsold") return "已结束 · 流拍";
+  return "已结束";
+}
+
+// 列表中的单个拍卖：倒计时每次刷新都会重新渲染，到点后状态随之从 pending 切到 running / ended
+function LobbyItem({ auction }) {
+  const clock = useServerClock();
+  const status = getEffectiveStatus(auction, clock.now());
+  const { remaining } = useCountdown(
+    status === "pending" || status === "running"
+      ? getCountdownTarget({ ...auction, status })
+      : null
+  );
+
+  return (
+    <li>
+      <Link to={`/auction/${auction.id}`} className="auction-item">
+        <div className="auction-item-main">
+          <span className="auction-item-name">
+            {auction.name}
+            {TYPE_TAGS[auction.type] && (
+              <span className="type-tag">{TYPE_TAGS[auction.type]}</span>
+            )}
+          </span>
+          <span className={`status status-${status}`}>{status}</span>
+        </div>
+        <div className="auction-item-meta">
+          <span className="price">
+            ¥
+            {(auction.type === "dutch" && status !== "ended"
+              ? getDutchPrice(auction, clock.now())
+              : Number(auction.current_price)
+            ).toFixed(2)}
+          </span>
+          <span className={`auction-item-countdown countdown-${status}`}>
+            {status === "pending"
+              ? `${formatRemain(remaining)} 后开始`
+              : status === "running" &&
+                auction.type === "flash_sale" &&
+                Number(auction.stock) <= 0
+              ? "已售罄"
+              : status === "running"
+              ? `剩余 ${formatRemain(remaining)}`
+              : describeEnded(auction, status)}
+          </span>
+        </div>
+      </Link>
+    </li>
+  );
+}
+
+// 拍卖列表：每个拍卖都有自己的实时倒计时和状态标签，所有倒计时共用一个帧循环
+export default function AuctionLobby({ auctions }) {
+  if (auctions.length === 0) {
+    return <p className="hint">当前没有任何拍卖，请检查后端或数据库</p>;
+  }
+
+  return (
+    <div className="section">
+      <h2>全部拍卖</h2>
+      <ul className="auction-list">
+        {auctions.map((auction) => (
+          <LobbyItem key={auction.id} auction={auction} />
+        ))}
+      </ul>
+    </div>
+  );
+}
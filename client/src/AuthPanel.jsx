@@ -0,0 +1,80 @@
+import React, { useState } from "react";
+import { describeError, fetchJson } from "./api.js";
+
+// 登录 / 注册 / 退出登录；登录后出价人由服务端根据会话确定
+export default function AuthPanel({ user, onLogin, onLogout }) {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+
+  const submit = async (action) => {
+    if (!username || !password) {
+      setError("请输入用户名和密码");
+      return;
+    }
+    try {
+      setSubmitting(true);
+      setError("");
+      const data = await fetchJson(`/api/auth/${action}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ username, password }),
+      });
+      setPassword("");
+      onLogin(data.token, data.user);
+    } catch (err) {
+      console.error(err);
+      setError(describeError(err, "登录失败"));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (user) {
+    return (
+      <div className="auth-panel">
+        当前用户：<strong>{user.username}</strong>
+        <button type="button" className="link-button" onClick={onLogout}>
+          退出登录
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form
+      className="auth-panel"
+      onSubmit={(e) => {
+        e.preventDefault();
+        submit("login");
+      }}
+    >
+      <input
+        placeholder="用户名"
+        autoComplete="username"
+        value={username}
+        onChange={(e) => setUsername(e.target.value)}
+      />
+      <input
+        type="password"
+        placeholder="密码"
+        autoComplete="current-password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+      />
+      <button type="submit" disabled={submitting}>
+        登录
+      </button>
+      <button
+        type="button"
+        className="link-button"
+        disabled={submitting}
+        onClick={() => submit("register")}
+      >
+        注册
+      </button>
+      {error && <span className="error">{error}</span>}
+    </form>
+  );
+}
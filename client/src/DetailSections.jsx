@@ -0,0 +1,84 @@
+import React from "react";
+import { Link } from "./router.jsx";
+import ServerTimeHint from "./ServerTimeHint.jsx";
+import { formatRemain } from "./utils.js";
+
+// 各类型详情页共用的区块：返回链接、成交结果、倒计时、系统提示
+
+export function BackLink() {
+  return (
+    <p>
+      <Link to="/" className="back-link">
+        ← 返回拍卖列表
+      </Link>
+    </p>
+  );
+}
+
+// 结束且成交时展示得标人和成交价，得标人是自己时高亮
+export function SaleResult({ auction, status, username }) {
+  if (status !== "ended" || auction.outcome !== "sold") return null;
+  const won = auction.winner_user_id === username;
+  const price = Number(auction.final_price).toFixed(2);
+  return (
+    <p className={`result${won ? " result-won" : ""}`}>
+      {won
+        ? `恭喜，你以 ¥${price} 赢得了本次拍卖！`
+        : `${auction.winner_user_id} 以 ¥${price} 拍得`}
+    </p>
+  );
+}
+
+// 倒计时区块：未开始时倒数到开始时间，进行中倒数到结束时间，结束 / 取消后显示对应状态
+// pendingDisplay 为开始前倒计时的显示内容（默认按秒）；children 显示在倒计时下方（如荷兰式拍卖的降价倒计时）
+export function CountdownSection({
+  status,
+  remaining,
+  pendingTitle = "距离开始",
+  runningTitle = "倒计时",
+  pendingDisplay = formatRemain(remaining),
+  presence,
+  showBidders = false,
+  clockState,
+  children,
+}) {
+  return (
+    <div className="section">
+      {status === "pending" ? (
+        <>
+          <h2>{pendingTitle}（以服务端时间为准）</h2>
+          <div className="countdown countdown-pending">{pendingDisplay}</div>
+        </>
+      ) : (
+        <>
+          <h2>{runningTitle}（以服务端时间为准）</h2>
+          <div className="countdown">
+            {status === "cancelled"
+              ? "已取消"
+              : status === "ended"
+              ? "已结束"
+              : formatRemain(remaining)}
+          </div>
+        </>
+      )}
+      {children}
+      {presence && (
+        <p className="presence">
+          {presence.viewers} 人正在围观
+          {showBidders && ` · ${presence.bidders} 人参与出价`}
+        </p>
+      )}
+      <ServerTimeHint clockState={clockState} />
+    </div>
+  );
+}
+
+export function MessageSection({ message }) {
+  if (!message) return null;
+  return (
+    <div className="section">
+      <h2>系统提示</h2>
+      <p>{message}</p>
+    </div>
+  );
+}
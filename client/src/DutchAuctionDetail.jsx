@@ -0,0 +1,167 @@
+import React, { useState } from "react";
+import { fetchJson } from "./api.js";
+import { authHeaders } from "./auth.js";
+import { useCountdown, useServerClock } from "./countdown.jsx";
+import {
+  BackLink,
+  CountdownSection,
+  MessageSection,
+  SaleResult,
+} from "./DetailSections.jsx";
+import {
+  formatRemain,
+  getCountdownTarget,
+  getDutchPrice,
+  getEffectiveStatus,
+  getNextPriceDrop,
+} from "./utils.js";
+
+// 荷兰式拍卖详情：价格按服务端时间往下降，结束倒计时和降价倒计时共用同一个服务端时钟
+export default function DutchAuctionDetail({
+  auction,
+  presence,
+  user,
+  clockState,
+  online,
+  message,
+  onMessage,
+  onAuctionChange,
+  onApiError,
+}) {
+  const [submitting, setSubmitting] = useState(false);
+  const username = user ? user.username : null;
+
+  // 两个倒计时每次刷新都会重新渲染：降价倒计时到点时价格随之下降，并对准下一次降价
+  const clock = useServerClock();
+  const serverNow = clock.now();
+  const status = getEffectiveStatus(auction, serverNow);
+  const { remaining: remainMs } = useCountdown(
+    status === "pending" || status === "running"
+      ? getCountdownTarget({ ...auction, status })
+      : null
+  );
+  const nextDrop =
+    status === "running" ? getNextPriceDrop(auction, serverNow) : null;
+  const { remaining: dropMs } = useCountdown(nextDrop);
+  const price = getDutchPrice(auction, serverNow);
+  const nextPrice =
+    nextDrop === null ? null : getDutchPrice(auction, nextDrop).toFixed(2);
+  const canAccept = status === "running" && online && !!user && !submitting;
+
+  const handleAccept = async () => {
+    setSubmitting(true);
+    try {
+      onMessage("提交中...");
+      const data = await fetchJson(`/api/auctions/${auction.id}/accept`, {
+        method: "POST",
+        headers: authHeaders(),
+      });
+      // 成交价以服务端收到请求时的价格为准，可能比点击时看到的更低
+      onAuctionChange({
+        status: "ended",
+        outcome: data.outcome,
+        winner_user_id: data.winner,
+        final_price: data.finalPrice,
+      });
+      onMessage(`成交！你以 ¥${data.finalPrice.toFixed(2)} 拍得`);
+    } catch (err) {
+      onApiError(err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <>
+      <BackLink />
+
+      <div className="section">
+        <h2>
+          拍卖信息<span className="type-tag">荷兰式</span>
+        </h2>
+        <p>
+          <strong>名称：</strong>
+          {auction.name}
+        </p>
+        <p>
+          <strong>{status === "ended" ? "成交价：" : "当前价格："}</strong>
+          <span className="price">
+            {status === "ended" && auction.outcome === "sold"
+              ? `¥${Number(auction.final_price).toFixed(2)}`
+              : status === "ended"
+              ? "—"
+              : `¥${price.toFixed(2)}`}
+          </span>
+        </p>
+        <p>
+          <strong>降价规则：</strong>每 {auction.step_seconds} 秒降 ¥
+          {Number(auction.price_step).toFixed(2)}，最低 ¥
+          {Number(auction.floor_price).toFixed(2)}
+        </p>
+        <p>
+          <strong>状态：</strong>
+          <span className={`status status-${status}`}>{status}</span>
+          {status === "ended" && auction.outcome === "unsold" && (
+            <span className="outcome outcome-unsold">流拍</span>
+          )}
+        </p>
+        <SaleResult auction={auction} status={status} username={username} />
+        <p>
+          <strong>开始时间：</strong>
+          {new Date(auction.start_time).toLocaleString()}
+        </p>
+        <p>
+          <strong>结束时间：</strong>
+          {new Date(auction.end_time).toLocaleString()}
+        </p>
+      </div>
+
+      <CountdownSection
+        status={status}
+        remaining={remainMs}
+        presence={presence}
+        clockState={clockState}
+      >
+        {status === "running" && (
+          <p className="price-drop">
+            {nextDrop === null
+              ? "已降到底价"
+              : `距离下次降价 ${formatRemain(dropMs)}，届时降至 ¥${nextPrice}`}
+          </p>
+        )}
+      </CountdownSection>
+
+      <div className="section">
+        <h2>成交</h2>
+        {status === "pending" ? (
+          <p>拍卖尚未开始，开始后价格逐步下降，第一个接受的人成交。</p>
+        ) : status === "cancelled" ? (
+          <p>拍卖已取消。</p>
+        ) : status === "ended" ? (
+          <p>拍卖已结束。</p>
+        ) : (
+          <>
+            <div className="bid-form">
+              <button
+                type="button"
+                disabled={!canAccept}
+                onClick={handleAccept}
+              >
+                以 ¥{price.toFixed(2)} 成交
+              </button>
+            </div>
+            {!user ? (
+              <p className="hint">登录后即可参与。</p>
+            ) : (
+              !online && (
+                <p className="hint">实时连接已断开，重连成功后即可继续。</p>
+              )
+            )}
+          </>
+        )}
+      </div>
+
+      <MessageSection message={message} />
+    </>
+  );
+}
@@ -0,0 +1,212 @@
+import React, { useEffect, useState } from "react";
+import { fetchJson } from "./api.js";
+import { authHeaders } from "./auth.js";
+import { formatCountdown, useCountdown, useServerClock } from "./countdown.jsx";
+import {
+  BackLink,
+  CountdownSection,
+  MessageSection,
+} from "./DetailSections.jsx";
+import { formatRemain, getEffectiveStatus } from "./utils.js";
+
+// 开抢前的倒计时精确到 0.1 秒，按钮在服务端开始时间的那一帧解锁
+const PENDING_INTERVAL = 100;
+const formatPending = (ms, parts) =>
+  `${formatRemain(ms)}.${Math.floor(parts.milliseconds / 100)}`;
+
+// 秒杀详情：开抢倒计时 + 库存 + 抢购
+export default function FlashSaleDetail({
+  auction,
+  presence,
+  user,
+  clockState,
+  online,
+  message,
+  onMessage,
+  onAuctionChange,
+  onApiError,
+}) {
+  const [quantity, setQuantity] = useState("1");
+  const [purchased, setPurchased] = useState(0); // 自己已购买的数量
+  const [submitting, setSubmitting] = useState(false);
+  const username = user ? user.username : null;
+
+  // 登录用户进入详情页时查询自己已购买的数量，用于展示剩余可购数量
+  useEffect(() => {
+    setPurchased(0);
+    if (!username) return;
+    let cancelled = false;
+    fetchJson(`/api/auctions/${auction.id}/purchase`, {
+      headers: authHeaders(),
+    })
+      .then((data) => {
+        if (!cancelled && data) {
+          setPurchased(data.quantity);
+        }
+      })
+      .catch((err) => console.error("获取购买数量失败：", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [auction.id, username]);
+
+  // 倒计时每次刷新都会重新渲染，到达开始时间时状态随之切换为 running，按钮随即解锁
+  const clock = useServerClock();
+  const status = getEffectiveStatus(auction, clock.now());
+  const { remaining: remainMs } = useCountdown(
+    status === "pending"
+      ? auction.start_time
+      : status === "running"
+      ? auction.end_time
+      : null,
+    { interval: status === "pending" ? PENDING_INTERVAL : undefined }
+  );
+
+  const stock = Number(auction.stock);
+  const soldOut = stock <= 0;
+  const limit = auction.purchase_limit;
+  // 本次最多可购买的数量：不超过剩余库存和剩余限购
+  const maxQuantity =
+    limit === null ? stock : Math.max(0, Math.min(stock, limit - purchased));
+  const canBuy =
+    status === "running" && online && !!user && !submitting && maxQuantity > 0;
+
+  const handlePurchase = async (e) => {
+    e.preventDefault();
+    const amount = Number(quantity);
+    if (!Number.isInteger(amount) || amount <= 0) {
+      onMessage("请输入有效的购买数量");
+      return;
+    }
+    if (amount > maxQuantity) {
+      onMessage(`本次最多还能购买 ${maxQuantity} 件`);
+      return;
+    }
+    setSubmitting(true);
+    try {
+      onMessage("抢购中...");
+      const data = await fetchJson(`/api/auctions/${auction.id}/purchase`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...authHeaders() },
+        body: JSON.stringify({ quantity: amount }),
+      });
+      onAuctionChange({ stock: data.stock });
+      setPurchased(data.purchased);
+      onMessage(`抢购成功，已购买 ${data.purchased} 件`);
+    } catch (err) {
+      // 售罄、库存不足时会带回最新库存
+      onApiError(err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <>
+      <BackLink />
+
+      <div className="section">
+        <h2>
+          秒杀信息<span className="type-tag">秒杀</span>
+        </h2>
+        <p>
+          <strong>名称：</strong>
+          {auction.name}
+        </p>
+        <p>
+          <strong>秒杀价：</strong>
+          <span className="price">
+            ¥{Number(auction.current_price).toFixed(2)}
+          </span>
+        </p>
+        <p>
+          <strong>库存：</strong>
+          {soldOut ? (
+            <span className="stock stock-empty">已售罄</span>
+          ) : (
+            <span className="stock">
+              剩余 {stock} / {auction.total_stock} 件
+            </span>
+          )}
+        </p>
+        <p>
+          <strong>每人限购：</strong>
+          {limit === null ? "不限" : `${limit} 件`}
+          {username && purchased > 0 && `（你已购买 ${purchased} 件）`}
+        </p>
+        <p>
+          <strong>状态：</strong>
+          <span className={`status status-${status}`}>{status}</span>
+          {status === "ended" && auction.outcome && (
+            <span className={`outcome outcome-${auction.outcome}`}>
+              {auction.outcome === "sold"
+                ? `共售出 ${auction.total_stock - stock} 件`
+                : "无人购买"}
+            </span>
+          )}
+        </p>
+        <p>
+          <strong>开始时间：</strong>
+          {new Date(auction.start_time).toLocaleString()}
+        </p>
+        <p>
+          <strong>结束时间：</strong>
+          {new Date(auction.end_time).toLocaleString()}
+        </p>
+      </div>
+
+      <CountdownSection
+        status={status}
+        remaining={remainMs}
+        pendingTitle="距离开抢"
+        runningTitle="距离结束"
+        pendingDisplay={formatCountdown(remainMs, formatPending)}
+        presence={presence}
+        clockState={clockState}
+      />
+
+      <div className="section">
+        <h2>抢购</h2>
+        {status === "cancelled" ? (
+          <p>秒杀已取消。</p>
+        ) : status === "ended" ? (
+          <p>秒杀已结束。</p>
+        ) : (
+          <>
+            {/* 开抢前按钮禁用，到达服务端开始时间的那一帧自动解锁；离线或未登录时不能抢购 */}
+            <form onSubmit={handlePurchase} className="bid-form">
+              <input
+                type="number"
+                min="1"
+                max={Math.max(1, maxQuantity)}
+                step="1"
+                value={quantity}
+                disabled={!canBuy}
+                onChange={(e) => setQuantity(e.target.value)}
+              />
+              <button type="submit" disabled={!canBuy}>
+                {status === "pending"
+                  ? "即将开抢"
+                  : soldOut
+                  ? "已售罄"
+                  : "立即抢购"}
+              </button>
+            </form>
+            {!user ? (
+              <p className="hint">登录后即可抢购。</p>
+            ) : !online ? (
+              <p className="hint">实时连接已断开，重连成功后即可继续抢购。</p>
+            ) : (
+              !soldOut &&
+              maxQuantity === 0 && (
+                <p className="hint">你已达到每人限购数量。</p>
+              )
+            )}
+          </>
+        )}
+      </div>
+
+      <MessageSection message={message} />
+    </>
+  );
+}
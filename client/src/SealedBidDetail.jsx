@@ -0,0 +1,229 @@
+import React, { useEffect, useState } from "react";
+import { fetchJson } from "./api.js";
+import { authHeaders } from "./auth.js";
+import { useCountdown, useServerClock } from "./countdown.jsx";
+import {
+  BackLink,
+  CountdownSection,
+  MessageSection,
+  SaleResult,
+} from "./DetailSections.jsx";
+import { getCountdownTarget, getEffectiveStatus } from "./utils.js";
+
+const PRICING_LABELS = {
+  first: "一价：最高出价者按自己的出价成交",
+  second: "二价（Vickrey）：最高出价者按次高出价成交",
+};
+
+// 密封出价详情：出价互不可见，只显示份数；结束后展示完整排名
+export default function SealedBidDetail({
+  auction,
+  presence,
+  user,
+  clockState,
+  online,
+  message,
+  onMessage,
+  onApiError,
+}) {
+  const [bidAmount, setBidAmount] = useState("");
+  const [myBid, setMyBid] = useState(null); // 自己当前的密封出价
+  const [ranking, setRanking] = useState(null); // 结束后公开的排名
+  const username = user ? user.username : null;
+  const startingPrice = Number(auction.current_price);
+
+  // 登录用户进入详情页时查询自己的出价（只有自己能看到）
+  useEffect(() => {
+    setMyBid(null);
+    if (!username) return;
+    let cancelled = false;
+    fetchJson(`/api/auctions/${auction.id}/sealed-bid`, {
+      headers: authHeaders(),
+    })
+      .then((data) => {
+        if (!cancelled && data) {
+          setMyBid(data.amount);
+          if (data.amount !== null) {
+            setBidAmount(String(data.amount));
+          }
+        }
+      })
+      .catch((err) => console.error("获取密封出价失败：", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [auction.id, username]);
+
+  // 服务端确认结束后拉取结算结果和排名
+  useEffect(() => {
+    setRanking(null);
+    if (auction.status !== "ended") return;
+    let cancelled = false;
+    fetchJson(`/api/auctions/${auction.id}/result`)
+      .then((data) => {
+        if (!cancelled && data) {
+          setRanking(data.ranking || []);
+        }
+      })
+      .catch((err) => console.error("获取拍卖结果失败：", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [auction.id, auction.status]);
+
+  const clock = useServerClock();
+  const status = getEffectiveStatus(auction, clock.now());
+  const { remaining: remainMs } = useCountdown(
+    status === "pending" || status === "running"
+      ? getCountdownTarget({ ...auction, status })
+      : null
+  );
+
+  const handleBid = async (e) => {
+    e.preventDefault();
+    const amount = Number(bidAmount);
+    if (!amount || amount < startingPrice) {
+      onMessage(`出价不能低于起拍价 ¥${startingPrice.toFixed(2)}`);
+      return;
+    }
+    try {
+      onMessage("提交中...");
+      const data = await fetchJson(`/api/auctions/${auction.id}/bid`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...authHeaders() },
+        body: JSON.stringify({ amount }),
+      });
+      setMyBid(data.amount);
+      onMessage(data.message);
+    } catch (err) {
+      onApiError(err);
+    }
+  };
+
+  return (
+    <>
+      <BackLink />
+
+      <div className="section">
+        <h2>
+          拍卖信息<span className="type-tag">密封</span>
+        </h2>
+        <p>
+          <strong>名称：</strong>
+          {auction.name}
+        </p>
+        <p>
+          <strong>起拍价：</strong>
+          <span className="price">¥{startingPrice.toFixed(2)}</span>
+        </p>
+        <p>
+          <strong>计价方式：</strong>
+          {PRICING_LABELS[auction.sealed_pricing]}
+        </p>
+        <p>
+          <strong>已收到出价：</strong>
+          {auction.sealed_bid_count} 份（金额在结束前不公开）
+        </p>
+        {myBid !== null && (
+          <p className="bid-standing">你的出价：¥{Number(myBid).toFixed(2)}</p>
+        )}
+        <p>
+          <strong>状态：</strong>
+          <span className={`status status-${status}`}>{status}</span>
+          {status === "ended" && auction.outcome === "unsold" && (
+            <span className="outcome outcome-unsold">流拍</span>
+          )}
+        </p>
+        <SaleResult auction={auction} status={status} username={username} />
+        <p>
+          <strong>开始时间：</strong>
+          {new Date(auction.start_time).toLocaleString()}
+        </p>
+        <p>
+          <strong>结束时间：</strong>
+          {new Date(auction.end_time).toLocaleString()}
+        </p>
+      </div>
+
+      <CountdownSection
+        status={status}
+        remaining={remainMs}
+        runningTitle="距离开标"
+        presence={presence}
+        clockState={clockState}
+      />
+
+      <div className="section">
+        <h2>密封出价</h2>
+        {status === "pending" ? (
+          <p>拍卖尚未开始，开始后即可出价。</p>
+        ) : status === "cancelled" ? (
+          <p>拍卖已取消，无法出价。</p>
+        ) : status === "ended" ? (
+          <p>拍卖已结束，无法继续出价。</p>
+        ) : (
+          <>
+            {/* 每人只有一份出价，再次提交即为修改；离线或未登录时不能出价 */}
+            <form onSubmit={handleBid} className="bid-form">
+              <input
+                type="number"
+                min={startingPrice}
+                step="0.01"
+                value={bidAmount}
+                disabled={!online || !user}
+                onChange={(e) => setBidAmount(e.target.value)}
+              />
+              <button type="submit" disabled={!online || !user}>
+                {myBid === null ? "提交出价" : "修改出价"}
+              </button>
+            </form>
+            {!user ? (
+              <p className="hint">登录后即可出价。</p>
+            ) : !online ? (
+              <p className="hint">实时连接已断开，重连成功后即可继续出价。</p>
+            ) : (
+              <p className="hint">
+                结束前可以随时修改出价；出价相同时先提交的人排名靠前，修改出价会重新计时。
+              </p>
+            )}
+          </>
+        )}
+      </div>
+
+      {ranking && (
+        <div className="section">
+          <h2>开标结果</h2>
+          {ranking.length === 0 ? (
+            <p className="hint">无人出价</p>
+          ) : (
+            <ul className="bid-ladder">
+              {ranking.map((entry) => (
+                <li
+                  key={entry.userId}
+                  className={
+                    [
+                      entry.rank === 1 && "bid-ladder-top",
+                      entry.userId === username && "bid-ladder-mine",
+                    ]
+                      .filter(Boolean)
+                      .join(" ") || undefined
+                  }
+                >
+                  <span className="bid-ladder-user">
+                    第 {entry.rank} 名 · {entry.userId}
+                    {entry.userId === username && "（我）"}
+                  </span>
+                  <span className="bid-ladder-amount">
+                    ¥{entry.amount.toFixed(2)}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <MessageSection message={message} />
+    </>
+  );
+}
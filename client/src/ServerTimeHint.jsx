@@ -0,0 +1,19 @@
+import React from "react";
+import { useServerNow } from "./countdown.jsx";
+
+// 当前服务端时间和校准情况，单独成组件，每秒刷新时不必重新渲染整个详情页
+export default function ServerTimeHint({ clockState }) {
+  const serverNow = useServerNow();
+  return (
+    <p className="hint">
+      当前服务端时间：{new Date(serverNow).toLocaleString()}
+      <br />
+      <small>
+        时间偏移量: {clockState.offset}ms
+        {clockState.error === null
+          ? "（尚未校准）"
+          : `（误差 ±${clockState.error}ms）`}
+      </small>
+    </p>
+  );
+}
@@ -0,0 +1,106 @@
+// 服务端的错误响应统一为 { code, message, details? }，客户端按 code 分支处理，不再依赖 HTTP 状态码和提示文案
+export class ApiError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = "ApiError";
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// 发送请求并解析 JSON，失败时抛出 ApiError
+// 网络不通时 code 为 NETWORK_ERROR；响应不是统一的错误结构（如代理返回的错误页）时 code 为 HTTP_ERROR
+export async function fetchJson(url, options) {
+  let res;
+  try {
+    res = await fetch(url, options);
+  } catch (err) {
+    throw new ApiError("NETWORK_ERROR", "网络异常，请检查网络后重试");
+  }
+  const data = await res.json().catch(() => null);
+  if (!res.ok) {
+    if (data && data.code) {
+      throw new ApiError(data.code, data.message, data.details);
+    }
+    throw new ApiError("HTTP_ERROR", `请求失败（HTTP ${res.status}）`);
+  }
+  return data;
+}
+
+const formatPrice = (value) => `¥${Number(value).toFixed(2)}`;
+
+// 错误码 -> 展示给用户的提示（参数为 details 和服务端的 message），与 server/errors.js 的错误码一一对应
+// 服务端 message 带有具体原因（如哪个字段不合法、为什么不能修改）的错误码优先展示 message
+const ERROR_MESSAGES = {
+  // 通用
+  INVALID_JSON: () => "请求格式错误",
+  INVALID_PARAMS: (details, message) => message || "参数错误",
+  NOT_FOUND: () => "接口不存在",
+  RATE_LIMITED: ({ retryAfterMs }) =>
+    retryAfterMs
+      ? `操作过于频繁，请 ${Math.ceil(retryAfterMs / 1000)} 秒后再试`
+      : "操作过于频繁，请稍后再试",
+  INTERNAL_ERROR: () => "服务器开小差了，请稍后重试",
+
+  // 登录
+  UNAUTHORIZED: () => "登录已失效，请重新登录",
+  FORBIDDEN: () => "没有权限执行此操作",
+  INVALID_USERNAME: () => "用户名需为 2~32 位字母、数字或下划线",
+  INVALID_PASSWORD: () => "密码至少 6 位",
+  USERNAME_TAKEN: () => "用户名已被占用",
+  INVALID_CREDENTIALS: () => "用户名或密码错误",
+
+  // 拍卖
+  INVALID_AUCTION_ID: () => "无效的拍卖 ID",
+  INVALID_AUCTION: (details, message) => message || "拍卖参数错误",
+  AUCTION_NOT_FOUND: () => "拍卖不存在",
+  AUCTION_NOT_STARTED: () => "拍卖尚未开始",
+  AUCTION_ENDED: () => "拍卖已结束",
+  AUCTION_CANCELLED: () => "拍卖已取消",
+  AUCTION_NOT_SETTLED: ({ status }) =>
+    status === "cancelled" ? "拍卖已取消" : "拍卖尚未结束",
+  AUCTION_LOCKED: (details, message) => message || "拍卖当前状态下不能修改",
+  AUCTION_CONFLICT: () => "拍卖状态已变化，请刷新后重试",
+  WRONG_AUCTION_TYPE: (details, message) => message || "该拍卖类型不支持此操作",
+
+  // 出价
+  INVALID_AMOUNT: () => "请输入有效的金额",
+  BID_TOO_LOW: ({ minNextBid }) =>
+    minNextBid === undefined
+      ? "出价过低"
+      : `出价过低，至少出价 ${formatPrice(minNextBid)}`,
+  BID_OUTBID: ({ currentPrice, minNextBid }) =>
+    `出价时已被他人超越，当前价格 ${formatPrice(
+      currentPrice
+    )}，至少出价 ${formatPrice(minNextBid)}`,
+  PROXY_MAX_TOO_LOW: ({ minNextBid }, message) =>
+    minNextBid === undefined
+      ? message || "自动出价上限过低"
+      : `自动出价上限至少为 ${formatPrice(minNextBid)}`,
+  PROXY_UNSUPPORTED: (details, message) => message || "该拍卖不支持自动出价",
+  ALREADY_SOLD: () => "已被他人抢先成交",
+
+  // 秒杀
+  INVALID_QUANTITY: () => "请输入有效的购买数量",
+  SOLD_OUT: () => "已售罄",
+  INSUFFICIENT_STOCK: ({ stock }) => `库存不足，仅剩 ${stock} 件`,
+  PURCHASE_LIMIT_EXCEEDED: () => "超出每人限购数量",
+
+  // WebSocket 消息
+  INVALID_PAYLOAD: (details, message) => message || "消息内容不合法",
+  UNKNOWN_MESSAGE_TYPE: () => "未知的消息类型",
+  NOT_SUBSCRIBED: () => "未订阅该拍卖",
+
+  // 客户端自己产生的错误（见 fetchJson）
+  NETWORK_ERROR: () => "网络异常，请检查网络后重试",
+};
+
+// 把错误（ApiError 或 WebSocket error 消息里的 { code, message, details }）转成展示给用户的提示
+// 未知的错误码（如 HTTP_ERROR）直接展示 message
+export function describeError(err, fallback = "操作失败") {
+  const format = err && ERROR_MESSAGES[err.code];
+  if (format) {
+    return format(err.details || {}, err.message);
+  }
+  return (err && err.message) || fallback;
+}
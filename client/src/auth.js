@@ -0,0 +1,20 @@
+// 登录 token 保存在 localStorage 中，刷新页面后保持登录状态
+const TOKEN_KEY = "auction_token";
+
+export function getToken() {
+  return localStorage.getItem(TOKEN_KEY);
+}
+
+export function setToken(token) {
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(TOKEN_KEY);
+  }
+}
+
+// 需要登录的接口带上 Authorization 头
+export function authHeaders() {
+  const token = getToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
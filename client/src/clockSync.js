@@ -0,0 +1,121 @@
+// NTP 式时间校准：每轮连续采样若干次，每个样本记录 4 个时间戳
+//   t0 客户端发出、t1 服务端收到、t2 服务端发出、t3 客户端收到
+//   往返时延 rtt = (t3 - t0) - (t2 - t1)
+//   偏移量 offset = ((t1 - t0) + (t2 - t3)) / 2
+// 假设去程和回程耗时相同，实际的不对称会带来最多 rtt / 2 的误差，所以每轮只取 rtt 最小的样本
+
+const SAMPLE_COUNT = 5; // 每轮采样次数
+const SAMPLE_TIMEOUT = 3000; // 单个 WebSocket 样本等待回复的最长时间（毫秒）
+const SMOOTHING = 0.3; // 每轮结果按这个比例并入当前偏移量，避免倒计时来回跳动
+const SNAP_THRESHOLD = 1000; // 新旧偏移量相差超过这个值（如系统时间被修改）时直接采用新值
+
+// 根据一次往返的 4 个时间戳计算 { offset, rtt }
+export function computeSample(
+  { clientTime, receiveTime, sendTime },
+  responseTime
+) {
+  return {
+    offset: (receiveTime - clientTime + (sendTime - responseTime)) / 2,
+    rtt: Math.max(0, responseTime - clientTime - (sendTime - receiveTime)),
+  };
+}
+
+// 创建一个时钟：保存当前偏移量和误差估计，提供 HTTP / WebSocket 两种采样方式
+export function createClockSync() {
+  let offset = 0;
+  let error = null; // 误差估计（毫秒），null 表示尚未校准成功
+  const listeners = new Set();
+  const pending = new Map(); // requestId -> 等待中的 WebSocket 样本
+  let nextRequestId = 0;
+
+  const getState = () => ({
+    offset: Math.round(offset),
+    error: error === null ? null : Math.round(error),
+  });
+
+  // 取 rtt 最小的样本并入当前偏移量；首次校准或偏差过大时直接采用
+  const apply = (samples) => {
+    if (samples.length === 0) {
+      throw new Error("没有可用的时间样本");
+    }
+    const best = samples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+    if (error === null || Math.abs(best.offset - offset) > SNAP_THRESHOLD) {
+      offset = best.offset;
+    } else {
+      offset += (best.offset - offset) * SMOOTHING;
+    }
+    // 平滑后的偏移量与本轮最佳样本之间的差距同样计入误差
+    error = best.rtt / 2 + Math.abs(best.offset - offset);
+    const state = getState();
+    for (const listener of listeners) {
+      listener(state);
+    }
+    return state;
+  };
+
+  const sampleOverHttp = async () => {
+    const res = await fetch("/api/time-sync", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ clientTime: Date.now() }),
+    });
+    if (!res.ok) {
+      throw new Error("时间同步失败");
+    }
+    const data = await res.json();
+    return computeSample(data, Date.now());
+  };
+
+  const sampleOverWs = (ws) =>
+    new Promise((resolve, reject) => {
+      nextRequestId += 1;
+      const requestId = `timeSync-${nextRequestId}`;
+      const timer = setTimeout(() => {
+        pending.delete(requestId);
+        reject(new Error("时间同步超时"));
+      }, SAMPLE_TIMEOUT);
+      pending.set(requestId, { resolve, timer });
+      ws.send(
+        JSON.stringify({
+          type: "timeSync",
+          requestId,
+          payload: { clientTime: Date.now() },
+        })
+      );
+    });
+
+  // 依次采样（并发发送会让样本互相排队，拉大 rtt），单个样本失败时跳过
+  const collect = async (sample, count) => {
+    const samples = [];
+    for (let i = 0; i < count; i += 1) {
+      try {
+        samples.push(await sample());
+      } catch (err) {
+        console.warn("[NTP] 采样失败：", err.message);
+      }
+    }
+    return apply(samples);
+  };
+
+  return {
+    // 当前服务端时间（本地时间 + 偏移量）
+    now: () => Date.now() + offset,
+    getState,
+    // 订阅校准结果，返回取消订阅的函数
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    syncOverHttp: (count = SAMPLE_COUNT) => collect(sampleOverHttp, count),
+    syncOverWs: (ws, count = SAMPLE_COUNT) =>
+      collect(() => sampleOverWs(ws), count),
+    // 收到服务端的 timeSync 回复时调用
+    handleWsReply(data) {
+      const entry = pending.get(data.requestId);
+      if (!entry) return;
+      pending.delete(data.requestId);
+      clearTimeout(entry.timer);
+      entry.resolve(computeSample(data, Date.now()));
+    },
+  };
+}
@@ -0,0 +1,201 @@
+import React, {
+  createContext,
+  useContext,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import { formatRemain } from "./utils.js";
+
+// 以服务端时间为准的倒计时：
+// - <ServerClockProvider clock={...}> 提供时钟（任何带 now() 的对象，如 clockSync.js 创建的时钟）
+// - useServerClock() / useServerNow() / useCountdown() / <Countdown> 在其下任意位置使用
+// 同一个 Provider 下的所有倒计时共用一个 requestAnimationFrame 循环，标签页隐藏时暂停，切回来立即对齐
+
+const DEFAULT_INTERVAL = 1000; // 默认刷新粒度（毫秒）
+
+// 共享的帧循环：每个订阅者按自己的粒度 interval 刷新，只在跨过粒度边界时回调
+// phase 为对齐的基准时间，倒计时传目标时间，这样剩余秒数恰好在整秒处跳变
+function createTicker(now) {
+  const subscribers = new Set();
+  let rafId = null;
+
+  const frame = () => {
+    rafId = null;
+    const current = now();
+    for (const sub of [...subscribers]) {
+      const bucket = Math.floor((current - sub.phase) / sub.interval);
+      if (bucket !== sub.bucket) {
+        sub.bucket = bucket;
+        sub.callback(current);
+      }
+    }
+    start();
+  };
+
+  const start = () => {
+    if (rafId === null && subscribers.size > 0 && !document.hidden) {
+      rafId = requestAnimationFrame(frame);
+    }
+  };
+
+  const stop = () => {
+    if (rafId !== null) {
+      cancelAnimationFrame(rafId);
+      rafId = null;
+    }
+  };
+
+  const onVisibilityChange = () => (document.hidden ? stop() : start());
+
+  return {
+    now,
+    // 订阅刷新，返回取消订阅的函数
+    subscribe(interval, phase, callback) {
+      const sub = {
+        interval: Math.max(1, interval),
+        phase,
+        callback,
+        bucket: null,
+      };
+      if (subscribers.size === 0) {
+        document.addEventListener("visibilitychange", onVisibilityChange);
+      }
+      subscribers.add(sub);
+      start();
+      return () => {
+        subscribers.delete(sub);
+        if (subscribers.size === 0) {
+          stop();
+          document.removeEventListener("visibilitychange", onVisibilityChange);
+        }
+      };
+    },
+  };
+}
+
+// 没有 Provider 时退化为本地时间，组件单独使用也能工作
+const ServerClockContext = createContext(createTicker(() => Date.now()));
+
+export function ServerClockProvider({ clock, children }) {
+  const ticker = useMemo(() => createTicker(() => clock.now()), [clock]);
+  return (
+    <ServerClockContext.Provider value={ticker}>
+      {children}
+    </ServerClockContext.Provider>
+  );
+}
+
+// 当前 Provider 的时钟：now() 返回服务端时间，subscribe() 挂到共享帧循环上
+export function useServerClock() {
+  return useContext(ServerClockContext);
+}
+
+// 当前服务端时间，每 interval 毫秒刷新一次
+export function useServerNow(interval = DEFAULT_INTERVAL) {
+  const clock = useServerClock();
+  const [now, setNow] = useState(() => clock.now());
+  useEffect(() => clock.subscribe(interval, 0, setNow), [clock, interval]);
+  return now;
+}
+
+// 把毫秒数拆成天 / 时 / 分 / 秒 / 毫秒
+export function splitDuration(ms) {
+  const total = Math.max(0, Math.floor(ms));
+  return {
+    days: Math.floor(total / 86400000),
+    hours: Math.floor(total / 3600000) % 24,
+    minutes: Math.floor(total / 60000) % 60,
+    seconds: Math.floor(total / 1000) % 60,
+    milliseconds: total % 1000,
+  };
+}
+
+// 格式化剩余时间：
+// - 不传 format：mm:ss，超过 1 小时为 hh:mm:ss（即 formatRemain）
+// - 字符串模板：{d} 天、{hh} 时、{mm} 分、{ss} 秒、{SSS} 毫秒，如 "{d} 天 {hh}:{mm}:{ss}"
+//   模板里没有的更大单位不会折算进来，例如只写 "{mm}:{ss}" 时超过 1 小时的部分会被丢掉
+// - 函数：(ms, parts) => string，parts 为 splitDuration 的结果
+export function formatCountdown(ms, format) {
+  if (typeof format === "function") {
+    return format(Math.max(0, ms), splitDuration(ms));
+  }
+  if (!format) {
+    return formatRemain(ms);
+  }
+  const parts = splitDuration(ms);
+  const pad = (n, len = 2) => String(n).padStart(len, "0");
+  const tokens = {
+    d: String(parts.days),
+    hh: pad(parts.hours),
+    mm: pad(parts.minutes),
+    ss: pad(parts.seconds),
+    SSS: pad(parts.milliseconds, 3),
+  };
+  return format.replace(/\{(d|hh|mm|ss|SSS)\}/g, (_, token) => tokens[token]);
+}
+
+// 倒计时到 targetTime（毫秒时间戳 / Date / 时间字符串，null 表示不计时）
+// options: { interval 刷新粒度（毫秒），onEnd 倒计时从未结束变为结束时调用一次 }
+// 返回 { now, remaining, ended, parts }
+export function useCountdown(
+  targetTime,
+  { interval = DEFAULT_INTERVAL, onEnd } = {}
+) {
+  const clock = useServerClock();
+  const target =
+    targetTime === null || targetTime === undefined
+      ? null
+      : new Date(targetTime).getTime();
+  const [now, setNow] = useState(() => clock.now());
+  const onEndRef = useRef(onEnd);
+  onEndRef.current = onEnd;
+
+  useEffect(() => {
+    setNow(clock.now());
+    if (target === null || Number.isNaN(target) || clock.now() >= target) {
+      return undefined;
+    }
+    // 到点后不再需要刷新，目标时间变化（如防狙击顺延）时重新订阅
+    const unsubscribe = clock.subscribe(interval, target, (current) => {
+      setNow(current);
+      if (current >= target) {
+        unsubscribe();
+        if (onEndRef.current) {
+          onEndRef.current();
+        }
+      }
+    });
+    return unsubscribe;
+  }, [clock, target, interval]);
+
+  const remaining =
+    target === null || Number.isNaN(target) ? 0 : Math.max(0, target - now);
+  return {
+    now,
+    remaining,
+    ended: remaining <= 0,
+    parts: splitDuration(remaining),
+  };
+}
+
+// 倒计时组件：target / interval / onEnd 同 useCountdown，format 同 formatCountdown
+// endedText 为结束后显示的内容，不传时显示归零后的格式化结果
+export function Countdown({
+  target,
+  interval,
+  format,
+  onEnd,
+  endedText,
+  className,
+}) {
+  const { remaining, ended } = useCountdown(target, { interval, onEnd });
+  return (
+    <span className={className}>
+      {ended && endedText !== undefined
+        ? endedText
+        : formatCountdown(remaining, format)}
+    </span>
+  );
+}
@@ -0,0 +1,50 @@
+import React, { useEffect, useState } from "react";
+
+// 极简前端路由（基于 History API）：
+// - `/`            拍卖列表
+// - `/auction/:id` 拍卖详情，URL 可以直接分享 / 刷新
+export function parseRoute(pathname) {
+  const match = /^\/auction\/(\d+)\/?$/.exec(pathname);
+  if (match) {
+    return { name: "auction", auctionId: Number(match[1]) };
+  }
+  return { name: "lobby" };
+}
+
+export function navigate(path) {
+  if (path === window.location.pathname) return;
+  window.history.pushState(null, "", path);
+  // pushState 不会触发 popstate，这里手动派发一次，让 useRoute 感知到变化
+  window.dispatchEvent(new PopStateEvent("popstate"));
+}
+
+export function useRoute() {
+  const [route, setRoute] = useState(() =>
+    parseRoute(window.location.pathname)
+  );
+
+  useEffect(() => {
+    const onPopState = () => setRoute(parseRoute(window.location.pathname));
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, []);
+
+  return route;
+}
+
+// 站内跳转链接：普通点击走前端路由，带修饰键（新标签页打开等）时交给浏览器处理
+export function Link({ to, children, ...rest }) {
+  const handleClick = (e) => {
+    if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+      return;
+    }
+    e.preventDefault();
+    navigate(to);
+  };
+
+  return (
+    <a href={to} onClick={handleClick} {...rest}>
+      {children}
+    </a>
+  );
+}
@@ -0,0 +1,101 @@
+export function formatRemain(ms) {
+  if (ms <= 0) return "00:00";
+  const totalSeconds = Math.floor(ms / 1000);
+  const m = Math.floor(totalSeconds / 60);
+  const s = totalSeconds % 60;
+  const pad = (n) => (n < 10 ? "0" + n : n);
+  if (m >= 60) {
+    const h = Math.floor(m / 60);
+    const mm = m % 60;
+    return `${pad(h)}:${pad(mm)}:${pad(s)}`;
+  }
+  return `${pad(m)}:${pad(s)}`;
+}
+
+// 倒计时目标时间：待开始时倒计时到 start_time，进行中时倒计时到 end_time
+export function getCountdownTarget(auction) {
+  return new Date(
+    auction.status === "pending" ? auction.start_time : auction.end_time
+  ).getTime();
+}
+
+// 结合服务端时间推算拍卖当前所处的状态
+// 本地倒计时归零时，服务端的 auctionStarted / auctionEnded 可能还在路上，先按时间推算，收到推送后再以服务端为准
+export function getEffectiveStatus(auction, serverNow) {
+  const startTime = new Date(auction.start_time).getTime();
+  const endTime = new Date(auction.end_time).getTime();
+  if (auction.status === "pending" && serverNow >= startTime) {
+    return serverNow >= endTime ? "ended" : "running";
+  }
+  if (auction.status === "running" && serverNow >= endTime) {
+    return "ended";
+  }
+  return auction.status;
+}
+
+// 未配置加价规则的拍卖，每次至少加价 1 元（与服务端保持一致）
+const DEFAULT_INCREMENT_RULES = [{ from: 0, increment: 1 }];
+
+// 按当前价格所在区间计算最低加价幅度，规则格式为 [{ from, increment }]
+export function getMinIncrement(auction) {
+  const price = Number(auction.current_price);
+  let rules = auction.increment_rules;
+  if (typeof rules === "string") {
+    rules = JSON.parse(rules);
+  }
+  if (!Array.isArray(rules) || rules.length === 0) {
+    rules = DEFAULT_INCREMENT_RULES;
+  }
+  let increment = DEFAULT_INCREMENT_RULES[0].increment;
+  for (const rule of rules) {
+    if (price >= rule.from) {
+      increment = rule.increment;
+    }
+  }
+  return increment;
+}
+
+// 下一口的最低出价（保留两位小数）
+export function getMinNextBid(auction) {
+  return (
+    Math.round(
+      (Number(auction.current_price) + getMinIncrement(auction)) * 100
+    ) / 100
+  );
+}
+
+// 当前领先的出价：金额最高的一条（金额相同时先出价的优先），没有出价时为 null
+// 与服务端的领先者、得标人判断一致，不依赖出价记录的先后顺序
+export function getTopBid(bids) {
+  let top = null;
+  for (const bid of bids) {
+    const cents = Math.round(Number(bid.amount) * 100);
+    const topCents = top ? Math.round(Number(top.amount) * 100) : -1;
+    if (!top || cents > topCents || (cents === topCents && bid.id < top.id)) {
+      top = bid;
+    }
+  }
+  return top;
+}
+
+// 荷兰式拍卖在 serverNow 时的价格（与服务端保持一致）：从开始时间起每 step_seconds 秒降一次 price_step，不低于 floor_price
+export function getDutchPrice(auction, serverNow) {
+  const startCents = Math.round(Number(auction.current_price) * 100);
+  const elapsed = serverNow - new Date(auction.start_time).getTime();
+  const steps =
+    elapsed > 0 ? Math.floor(elapsed / (auction.step_seconds * 1000)) : 0;
+  const cents =
+    startCents - steps * Math.round(Number(auction.price_step) * 100);
+  return Math.max(Math.round(Number(auction.floor_price) * 100), cents) / 100;
+}
+
+// 荷兰式拍卖下一次降价的时间（毫秒时间戳），已降到底价时返回 null
+export function getNextPriceDrop(auction, serverNow) {
+  if (getDutchPrice(auction, serverNow) <= Number(auction.floor_price)) {
+    return null;
+  }
+  const start = new Date(auction.start_time).getTime();
+  const stepMs = auction.step_seconds * 1000;
+  if (serverNow < start) return start + stepMs;
+  return start + (Math.floor((serverNow - start) / stepMs) + 1) * stepMs;
+}
@@ -0,0 +1,2523 @@
+const http = require("http");
+const crypto = require("crypto");
+const { promisify } = require("util");
+const express = require("express");
+const cors = require("cors");
+const WebSocket = require("ws");
+const { createLocalBroadcaster } = require("./broadcast");
+const {
+  ApiError,
+  asyncHandler,
+  errorHandler,
+  toErrorBody,
+} = require("./errors");
+const { createRateLimiter, rateLimit } = require("./rateLimit");
+
+// WebSocket 心跳间隔（毫秒），可通过 .env 中的 WS_HEARTBEAT_INTERVAL_MS 配置
+// 每个周期 ping 一次所有连接，上一轮没有回 pong 的连接会被断开
+const HEARTBEAT_INTERVAL =
+  Number(process.env.WS_HEARTBEAT_INTERVAL_MS) || 30000;
+// 加入房间时随 auctionData 下发的最近出价条数
+const RECENT_BIDS_LIMIT = 10;
+// 断线重连补发出价时最多补发的条数
+const MISSED_BIDS_LIMIT = 100;
+// 在线人数（presence）广播的节流间隔（毫秒），同一拍卖在这段时间内的多次进出只推送一次
+const PRESENCE_THROTTLE_MS = 1000;
+// 其他实例上报的在线人数超过这么久（毫秒）没有更新就不再计入（实例异常退出时来不及清零），各实例随心跳重新上报
+const PRESENCE_TTL_MS = HEARTBEAT_INTERVAL * 3;
+// 登录会话有效期（毫秒）
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// 未配置加价规则的拍卖，每次至少加价 1 元
+const DEFAULT_INCREMENT_RULES = [{ from: 0, increment: 1 }];
+// 出价写入时价格已被他人推高、但本次出价仍满足新价格的加价幅度时，最多重试的次数
+const BID_CAS_RETRIES = 3;
+// 拍卖类型：english 为普通竞价，flash_sale 为秒杀（固定价格、限量库存、先到先得），
+// dutch 为荷兰式拍卖（价格按时间表从起拍价往下降，第一个接受的人成交），
+// sealed 为密封出价拍卖（出价互不可见，结束时公开排名，按一价或 Vickrey 二价成交）
+const AUCTION_TYPES = ["english", "flash_sale", "dutch", "sealed"];
+// 各类型专属的列，只有对应类型的拍卖可以设置
+const TYPE_FIELDS = {
+  flash_sale: {
+    columns: ["stock", "purchase_limit"],
+    label: "秒杀",
+    desc: "库存和限购",
+  },
+  dutch: {
+    columns: ["floor_price", "price_step", "step_seconds"],
+    label: "荷兰式拍卖",
+    desc: "底价和降价规则",
+  },
+  sealed: {
+    columns: ["sealed_pricing"],
+    label: "密封出价拍卖",
+    desc: "计价方式",
+  },
+};
+// 只对部分类型生效的通用列：防狙击顺延和加价规则只用于普通竞价，保留价用于普通竞价和密封出价
+// 其他类型设置了也不会生效（秒杀、荷兰式拍卖没有保留价的概念），创建 / 修改时直接拒绝；传 null 清空仍然允许
+const LIMITED_FIELDS = [
+  {
+    columns: ["soft_close_seconds", "extension_seconds"],
+    types: ["english"],
+    label: "普通竞价",
+    desc: "防狙击顺延",
+  },
+  {
+    columns: ["increment_rules"],
+    types: ["english"],
+    label: "普通竞价",
+    desc: "加价规则",
+  },
+  {
+    columns: ["reserve_price"],
+    types: ["english", "sealed"],
+    label: "普通竞价和密封出价拍卖",
+    desc: "保留价",
+  },
+];
+// 密封出价拍卖的计价方式：first 一价（按最高出价成交）/ second Vickrey 二价（按次高出价成交）
+const SEALED_PRICING = ["first", "second"];
+// 秒杀未设置每人限购时的默认值
+const DEFAULT_PURCHASE_LIMIT = 1;
+// 秒杀下单失败的原因对应的错误码和提示
+const PURCHASE_ERRORS = {
+  not_found: ["AUCTION_NOT_FOUND", "秒杀不存在"],
+  cancelled: ["AUCTION_CANCELLED", "秒杀已取消"],
+  not_started: ["AUCTION_NOT_STARTED", "秒杀尚未开始"],
+  ended: ["AUCTION_ENDED", "秒杀已结束"],
+  sold_out: ["SOLD_OUT", "已售罄"],
+  insufficient_stock: ["INSUFFICIENT_STOCK", "库存不足"],
+  limit_exceeded: ["PURCHASE_LIMIT_EXCEEDED", "超出每人限购数量"],
+};
+// 事件接口每页默认 / 最多返回的条数
+const EVENTS_PAGE_SIZE = 100;
+const MAX_EVENTS_PAGE_SIZE = 1000;
+// 事件导出 CSV 的列：通用列之外，把出价人和金额单独拆成列，方便在表格里筛选
+const EVENT_CSV_COLUMNS = [
+  "seq",
+  "created_at",
+  "type",
+  "user_id",
+  "amount",
+  "data",
+];
+// 到期结算的条件更新没有生效、重新读取后拍卖却仍在进行且已到期时，稍等这么久（毫秒）再结算（兜底，正常不会出现）
+// 最多快速重试 SETTLE_MAX_RETRIES 次，仍未成功时记错误日志，改按 LIFECYCLE_RETRY_* 的退避继续重试，直到结算成功
+const SETTLE_RETRY_MS = 200;
+const SETTLE_MAX_RETRIES = 5;
+// 状态流转出错（如存储暂时不可用）时按指数退避重新调度：从 LIFECYCLE_RETRY_MS 开始翻倍，最长间隔 LIFECYCLE_RETRY_MAX_MS，直到成功
+const LIFECYCLE_RETRY_MS = 1000;
+const LIFECYCLE_RETRY_MAX_MS = 30000;
+// 限流默认值，可通过 .env 配置；createApp 的 limits 参数优先
+// 出价：每个用户 / 每个 IP 在 bidWindowMs 内最多 bidPerUser / bidPerIp 次（令牌桶，允许短时突发）
+// WebSocket：每个连接每秒最多 wsMessagesPerSecond 条消息，单条消息最大 wsMaxPayload 字节；
+// 每个 IP 每分钟最多新建 wsConnectionsPerMinute 个连接（新连接有新的消息配额，不能靠重连绕过消息限流）
+const DEFAULT_LIMITS = {
+  bidPerUser: Number(process.env.BID_RATE_LIMIT_PER_USER) || 5,
+  bidPerIp: Number(process.env.BID_RATE_LIMIT_PER_IP) || 20,
+  bidWindowMs: Number(process.env.BID_RATE_LIMIT_WINDOW_MS) || 10000,
+  wsMessagesPerSecond: Number(process.env.WS_MAX_MESSAGES_PER_SECOND) || 20,
+  wsMaxPayload: Number(process.env.WS_MAX_PAYLOAD_BYTES) || 16 * 1024,
+  wsConnectionsPerMinute:
+    Number(process.env.WS_MAX_CONNECTIONS_PER_MINUTE) || 30,
+};
+// 一次 subscribe / unsubscribe 最多携带的拍卖数（同时不超过每秒消息数，见 subscribe 的限流）
+const MAX_SUBSCRIBE_IDS = 20;
+// 从原始消息里取 requestId（字符串或数字）的正则，见 peekRequestId
+const REQUEST_ID_PATTERN =
+  /"requestId"\s*:\s*("(?:[^"\\]|\\.)*"|-?\d+(?:\.\d+)?)/;
+// 多实例部署时，只有持有该租约的实例（leader）执行拍卖状态流转
+const LIFECYCLE_LEASE = "auction-lifecycle";
+// 租约有效期和续约间隔（毫秒）：leader 宕机后最多 LEADER_LEASE_MS 由其他实例接替
+const LEADER_LEASE_MS = 15000;
+const LEADER_RENEW_MS = 5000;
+// setTimeout 的最大延迟（约 24.8 天），更远的时间点先等到这里再重新调度
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// 默认时钟：系统时间 + 原生定时器
+// 测试时可以传入可手动拨动的时钟，让拍卖开始 / 结束的时机变得确定
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (timer) => clearTimeout(timer),
+};
+
+// 校验管理端提交的拍卖字段，返回 { values, error }
+// values 的 key 为数据库列名；partial 为 true 时（PATCH）只校验传了的字段
+function parseAuctionInput(body, { partial = false } = {}) {
+  const input = body || {};
+  const values = {};
+  const has = (key) => input[key] !== undefined;
+
+  if (has("name") || !partial) {
+    if (typeof input.name !== "string" || !input.name.trim()) {
+      return { error: "拍卖名称不能为空" };
+    }
+    values.name = input.name.trim();
+  }
+  if (has("type")) {
+    if (partial) {
+      return { error: "拍卖类型创建后不能修改" };
+    }
+    if (!AUCTION_TYPES.includes(input.type)) {
+      return { error: `无效的拍卖类型（可选 ${AUCTION_TYPES.join(" / ")}）` };
+    }
+    values.type = input.type;
+  }
+  for (const [key, column] of [
+    ["startTime", "start_time"],
+    ["endTime", "end_time"],
+  ]) {
+    if (has(key) || !partial) {
+      const time = new Date(input[key]);
+      if (!has(key) || Number.isNaN(time.getTime())) {
+        return { error: `无效的时间：${key}` };
+      }
+      values[column] = time;
+    }
+  }
+  if (has("startingPrice") || !partial) {
+    const price = input.startingPrice === undefined ? 0 : input.startingPrice;
+    if (typeof price !== "number" || !Number.isFinite(price) || price < 0) {
+      return { error: "起拍价不能为负数" };
+    }
+    values.current_price = price;
+  }
+  for (const [key, column] of [
+    ["softCloseSeconds", "soft_close_seconds"],
+    ["extensionSeconds", "extension_seconds"],
+  ]) {
+    if (has(key)) {
+      if (!Number.isInteger(input[key]) || input[key] < 0) {
+        return { error: `${key} 必须是非负整数` };
+      }
+      values[column] = input[key];
+    }
+  }
+  // 秒杀库存：设置时总库存和剩余库存一起写入
+  if (has("stock")) {
+    if (!Number.isInteger(input.stock) || input.stock <= 0) {
+      return { error: "stock 必须是正整数" };
+    }
+    values.total_stock = input.stock;
+    values.stock = input.stock;
+  }
+  if (has("purchaseLimit")) {
+    const limit = input.purchaseLimit;
+    if (limit !== null && (!Number.isInteger(limit) || limit <= 0)) {
+      return { error: "purchaseLimit 必须是正整数，传 null 表示不限购" };
+    }
+    values.purchase_limit = limit;
+  }
+  // 荷兰式拍卖：底价、每次降价幅度、降价间隔（秒）
+  if (has("floorPrice")) {
+    const floor = input.floorPrice;
+    if (typeof floor !== "number" || !Number.isFinite(floor) || floor < 0) {
+      return { error: "floorPrice 必须是非负数" };
+    }
+    values.floor_price = floor;
+  }
+  if (has("priceStep")) {
+    const step = input.priceStep;
+    if (typeof step !== "number" || !Number.isFinite(step) || step <= 0) {
+      return { error: "priceStep 必须大于 0" };
+    }
+    values.price_step = step;
+  }
+  if (has("stepSeconds")) {
+    if (!Number.isInteger(input.stepSeconds) || input.stepSeconds <= 0) {
+      return { error: "stepSeconds 必须是正整数" };
+    }
+    values.step_seconds = input.stepSeconds;
+  }
+  if (has("sealedPricing")) {
+    if (!SEALED_PRICING.includes(input.sealedPricing)) {
+      return { error: "sealedPricing 只能是 first 或 second" };
+    }
+    values.sealed_pricing = input.sealedPricing;
+  }
+  if (has("reservePrice")) {
+    const reserve = input.reservePrice;
+    if (
+      reserve !== null &&
+      (typeof reserve !== "number" || !Number.isFinite(reserve) || reserve < 0)
+    ) {
+      return { error: "保留价必须是非负数，传 null 表示取消保留价" };
+    }
+    values.reserve_price = reserve;
+  }
+  if (has("incrementRules")) {
+    if (input.incrementRules === null) {
+      values.increment_rules = null;
+    } else {
+      const { rules, error } = parseIncrementRules(input.incrementRules);
+      if (error) {
+        return { error };
+      }
+      values.increment_rules = rules;
+    }
+  }
+  return { values };
+}
+
+// 校验拍卖类型专属的字段，返回错误信息，没有问题时返回 null
+// values 为本次提交的字段（列名），auction 为修改前的拍卖（创建时为 null）
+function checkTypeFields(type, values, auction) {
+  for (const [owner, { columns, label, desc }] of Object.entries(TYPE_FIELDS)) {
+    if (owner !== type && columns.some((c) => values[c] !== undefined)) {
+      return `只有${label}可以设置${desc}`;
+    }
+  }
+  for (const { columns, types, label, desc } of LIMITED_FIELDS) {
+    if (!types.includes(type) && columns.some((c) => values[c] != null)) {
+      return `只有${label}可以设置${desc}`;
+    }
+  }
+  const merged = { ...auction, ...values };
+  if (type === "flash_sale" && merged.stock == null) {
+    return "秒杀必须设置库存 stock";
+  }
+  if (type === "dutch") {
+    if (TYPE_FIELDS.dutch.columns.some((c) => merged[c] == null)) {
+      return "荷兰式拍卖必须设置 floorPrice、priceStep 和 stepSeconds";
+    }
+    if (Number(merged.floor_price) >= Number(merged.current_price)) {
+      return "荷兰式拍卖的底价必须低于起拍价";
+    }
+  }
+  return null;
+}
+
+// 校验加价规则：[{ from, increment }]，按 from 升序，第一档必须从 0 开始
+// 例如 [{ from: 0, increment: 1 }, { from: 100, increment: 5 }] 表示 100 元以下每次至少加 1 元，100 元及以上每次至少加 5 元
+// 只有一档即为固定加价幅度
+function parseIncrementRules(input) {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: "incrementRules 必须是非空数组" };
+  }
+  const rules = [];
+  for (const rule of input) {
+    const { from, increment } = rule || {};
+    if (
+      typeof from !== "number" ||
+      !Number.isFinite(from) ||
+      from < 0 ||
+      typeof increment !== "number" ||
+      !Number.isFinite(increment) ||
+      increment <= 0
+    ) {
+      return { error: "加价规则中 from 必须是非负数，increment 必须大于 0" };
+    }
+    if (rules.length > 0 && from <= rules[rules.length - 1].from) {
+      return { error: "加价规则必须按 from 严格升序排列" };
+    }
+    rules.push({ from, increment });
+  }
+  if (rules[0].from !== 0) {
+    return { error: "加价规则的第一档必须从 0 开始" };
+  }
+  return { rules };
+}
+
+// 读取拍卖的加价规则；MySQL 的 JSON 列在 MariaDB 等环境下可能以字符串返回
+function getIncrementRules(auction) {
+  const rules =
+    typeof auction.increment_rules === "string"
+      ? JSON.parse(auction.increment_rules)
+      : auction.increment_rules;
+  return Array.isArray(rules) && rules.length > 0
+    ? rules
+    : DEFAULT_INCREMENT_RULES;
+}
+
+// 按当前价格所在区间计算下一口的最低出价（保留两位小数）
+function getMinNextBid(auction) {
+  const price = Number(auction.current_price);
+  let increment = DEFAULT_INCREMENT_RULES[0].increment;
+  for (const rule of getIncrementRules(auction)) {
+    if (price >= rule.from) {
+      increment = rule.increment;
+    }
+  }
+  return Math.round((price + increment) * 100) / 100;
+}
+
+// 荷兰式拍卖在 now 时的价格：从开始时间起每 step_seconds 秒降一次 price_step，不低于 floor_price
+// 开始前为起拍价（current_price）；按分计算，避免浮点误差
+function getDutchPrice(auction, now) {
+  const startCents = Math.round(Number(auction.current_price) * 100);
+  const elapsed = now.getTime() - new Date(auction.start_time).getTime();
+  const steps =
+    elapsed > 0 ? Math.floor(elapsed / (auction.step_seconds * 1000)) : 0;
+  const cents =
+    startCents - steps * Math.round(Number(auction.price_step) * 100);
+  return Math.max(Math.round(Number(auction.floor_price) * 100), cents) / 100;
+}
+
+// 密封出价的公开排名（已按名次排好），结束后随结算结果一起公开
+function toRanking(sealedBids) {
+  return sealedBids.map((bid, index) => ({
+    rank: index + 1,
+    userId: bid.user_id,
+    amount: Number(bid.amount),
+  }));
+}
+
+// 管理端创建 / 修改拍卖时写入审计事件的字段：保留价不公开，单独放进 secret
+function splitAuctionValues(values) {
+  const { reserve_price: reserve, ...data } = values;
+  return {
+    data,
+    secret: reserve === undefined ? undefined : { reserve_price: reserve },
+  };
+}
+
+// 导出 CSV 的单元格：含逗号、引号、换行时加引号转义；以 = + - @ 开头时前面加 '，避免被表格软件当成公式执行
+function toCsvCell(value) {
+  if (value === undefined || value === null) return "";
+  let text = typeof value === "string" ? value : JSON.stringify(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toEventsCsv(events) {
+  const rows = events.map((event) =>
+    [
+      event.seq,
+      new Date(event.created_at).toISOString(),
+      event.type,
+      event.data.userId,
+      event.data.amount,
+      event.data,
+    ]
+      .map(toCsvCell)
+      .join(",")
+  );
+  // 带 BOM，Excel 打开时才能正确识别 UTF-8 中文
+  return "\uFEFF" + [EVENT_CSV_COLUMNS.join(","), ...rows].join("\r\n");
+}
+
+// 拍卖的结算结果（auctionEnded 广播和结果接口共用）：流拍时 winner / finalPrice 为 null
+function toResult({ outcome, winner_user_id, final_price, settled_at }) {
+  return {
+    outcome,
+    winner: winner_user_id || null,
+    finalPrice: final_price === null ? null : Number(final_price),
+    settledAt: settled_at ? new Date(settled_at).toISOString() : null,
+  };
+}
+
+// 计算代理出价需要代为提交的出价（按顺序执行），不需要出价时返回空数组
+// 与 eBay 一致：上限最高的人领先，成交价为「次高上限 + 一个加价幅度」（不超过自己的上限）；
+// 上限相同时先设置的人领先。当前领先者没有设置代理出价时，以当前价格作为他的上限参与比较
+// 次高者能合法出价时先替他出到上限，方便其他人从出价记录中看到竞争过程
+function planProxyBids(auction, leader, proxies) {
+  const price = Number(auction.current_price);
+  const minNext = getMinNextBid(auction);
+  const nextAbove = (amount) =>
+    getMinNextBid({ ...auction, current_price: amount });
+
+  const entries = proxies.map((p) => ({
+    userId: p.user_id,
+    max: Number(p.max_amount),
+    at: new Date(p.updated_at).getTime(),
+  }));
+  if (leader) {
+    const own = entries.find((e) => e.userId === leader.user_id);
+    if (own) {
+      // 领先者手动出价可能已经高于自己的代理上限
+      own.max = Math.max(own.max, price);
+    } else {
+      entries.push({ userId: leader.user_id, max: price, at: -Infinity });
+    }
+  }
+  entries.sort((a, b) => b.max - a.max || a.at - b.at);
+  const [winner, runnerUp] = entries;
+  if (!winner || winner.max < minNext) return [];
+
+  const steps = [];
+  let amount;
+  if (leader && winner.userId === leader.user_id) {
+    // 领先者的上限最高：只有次高者出得起下一口时才需要应价
+    if (!runnerUp || runnerUp.max < minNext) return [];
+    if (runnerUp.max === winner.max) {
+      amount = winner.max;
+    } else {
+      steps.push({ userId: runnerUp.userId, amount: runnerUp.max });
+      amount = Math.min(winner.max, nextAbove(runnerUp.max));
+    }
+  } else if (runnerUp && runnerUp.max > price) {
+    if (runnerUp.max === winner.max) {
+      amount = winner.max;
+    } else {
+      if (runnerUp.max >= minNext) {
+        steps.push({ userId: runnerUp.userId, amount: runnerUp.max });
+      }
+      amount = Math.max(minNext, Math.min(winner.max, nextAbove(runnerUp.max)));
+    }
+  } else {
+    amount = minNext;
+  }
+
+  // 上限够得着保留价时，直接出到保留价
+  const reserve =
+    auction.reserve_price === null ? null : Number(auction.reserve_price);
+  if (reserve !== null && winner.max >= reserve && amount < reserve) {
+    amount = reserve;
+  }
+  steps.push({ userId: winner.userId, amount });
+  return steps;
+}
+
+// scrypt 计算较慢，用异步版本，避免注册 / 登录时阻塞事件循环
+const scrypt = promisify(crypto.scrypt);
+
+// 密码加盐哈希，存储格式为 salt:hash（均为 hex）
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = (await scrypt(password, salt, 64)).toString("hex");
+  return `${salt}:${hash}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [salt, hash] = String(stored).split(":");
+  if (!salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// 被限流的 WebSocket 消息不做完整的 JSON 解析，只用正则取出 requestId，让客户端能对应到被拒绝的请求
+// 取不到时返回 undefined
+function peekRequestId(raw) {
+  const match = REQUEST_ID_PATTERN.exec(raw);
+  if (!match) return undefined;
+  try {
+    return JSON.parse(match[1]);
+  } catch (err) {
+    return undefined;
+  }
+}
+
+// 从请求头 Authorization: Bearer <token> 中取出 token
+function getBearerToken(req) {
+  const header = req.headers.authorization || "";
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+// 为用户创建一个新的登录会话，返回 token；now 为当前时间
+async function createSession(store, userId, now) {
+  const token = crypto.randomBytes(32).toString("hex");
+  await store.createSession({
+    token,
+    userId,
+    expiresAt: new Date(now.getTime() + SESSION_TTL_MS),
+  });
+  return token;
+}
+
+// 根据 token 查出当前登录用户（{ id, username, role }），未带 token、token 无效或已过期时返回 null
+async function getSessionUser(store, token, now) {
+  if (!token) return null;
+  return store.getSessionUser(token, now);
+}
+
+// 空库时写入演示数据：两个本地账号 + 各类型的测试拍卖，方便本地直接体验
+// 管理员账号不会用固定密码自动创建：只有传入 adminPassword（index.js 取自 ADMIN_PASSWORD）且还没有 admin 账号时才创建
+async function seedDemoData(store, { adminPassword } = {}) {
+  if ((await store.countUsers()) === 0) {
+    for (const username of ["alice", "bob"]) {
+      await store.createUser(username, await hashPassword("123456"));
+    }
+    console.log("已自动创建演示账号 alice / bob（密码均为 123456）。");
+  }
+
+  if (adminPassword && !(await store.findUserByUsername("admin"))) {
+    await store.createUser("admin", await hashPassword(adminPassword), "admin");
+    console.log("已按 ADMIN_PASSWORD 创建管理员账号 admin。");
+  }
+
+  if ((await store.countAuctions()) === 0) {
+    const now = new Date();
+    await store.createAuction({
+      name: "示例测试拍卖（自动生成）",
+      start_time: new Date(now.getTime() - 1 * 60 * 1000), // 提前 1 分钟开始
+      end_time: new Date(now.getTime() + 5 * 60 * 1000), // 5 分钟后结束
+      current_price: 100.0,
+      status: "running",
+    });
+    await store.createAuction({
+      name: "示例秒杀（自动生成）",
+      type: "flash_sale",
+      start_time: new Date(now.getTime() + 1 * 60 * 1000), // 1 分钟后开抢
+      end_time: new Date(now.getTime() + 10 * 60 * 1000),
+      current_price: 9.9,
+      total_stock: 10,
+      stock: 10,
+      purchase_limit: 2,
+    });
+    await store.createAuction({
+      name: "示例荷兰式拍卖（自动生成）",
+      type: "dutch",
+      start_time: now,
+      end_time: new Date(now.getTime() + 10 * 60 * 1000),
+      current_price: 200.0, // 每 30 秒降 10 元，最低 50 元
+      floor_price: 50.0,
+      price_step: 10.0,
+      step_seconds: 30,
+      status: "running",
+    });
+    await store.createAuction({
+      name: "示例密封拍卖（自动生成）",
+      type: "sealed",
+      start_time: now,
+      end_time: new Date(now.getTime() + 10 * 60 * 1000),
+      current_price: 100.0, // 起拍价，按二价成交
+      sealed_pricing: "second",
+      status: "running",
+    });
+    console.log(
+      "已自动插入测试拍卖、测试秒杀、测试荷兰式拍卖和测试密封拍卖数据。"
+    );
+  }
+}
+
+// 创建 HTTP + WebSocket 服务（不监听端口），返回 { app, server, wss, close }
+// store 为 ./store 中的存储对象（需已 init）；clock 提供 now / setTimeout / clearTimeout，默认使用系统时钟
+// limits 覆盖部分限流配置（见 DEFAULT_LIMITS）
+// broadcaster 为 ./broadcast 中的广播对象（需已 init），默认为进程内广播；多实例部署时传入 Redis 等实现
+// 竞选 leader，成功后为所有未结束的拍卖挂上生命周期定时器；调用方拿到后自行 server.listen(port)
+async function createApp({
+  store,
+  clock = systemClock,
+  limits = {},
+  broadcaster = createLocalBroadcaster(),
+}) {
+  // 所有“当前时间”都从 clock 取，保证与生命周期定时器使用同一个时间源
+  const currentTime = () => new Date(clock.now());
+  let closed = false;
+
+  const config = { ...DEFAULT_LIMITS, ...limits };
+  const bidUserLimiter = createRateLimiter({
+    limit: config.bidPerUser,
+    windowMs: config.bidWindowMs,
+    now: () => clock.now(),
+  });
+  const bidIpLimiter = createRateLimiter({
+    limit: config.bidPerIp,
+    windowMs: config.bidWindowMs,
+    now: () => clock.now(),
+  });
+  // WebSocket 消息按连接限流，key 为连接对象本身，断开时删除
+  const wsMessageLimiter = createRateLimiter({
+    limit: config.wsMessagesPerSecond,
+    windowMs: 1000,
+    now: () => clock.now(),
+  });
+  // 新建 WebSocket 连接按 IP 限流，超出时在握手阶段直接拒绝
+  const wsConnectLimiter = createRateLimiter({
+    limit: config.wsConnectionsPerMinute,
+    windowMs: 60000,
+    now: () => clock.now(),
+  });
+  // subscribe 每个拍卖都要查库，按拍卖数计入消息限流，单条消息最多携带的数量也不超过每秒消息数
+  const maxSubscribeIds = Math.min(
+    MAX_SUBSCRIBE_IDS,
+    config.wsMessagesPerSecond
+  );
+
+  const app = express();
+  const server = http.createServer(app);
+  // 超过 maxPayload 的消息会被 ws 直接以 1009（Message Too Big）关闭连接
+  // 同一 IP 新建连接过于频繁时以 429 拒绝握手，带上 Retry-After 头（秒）
+  const wss = new WebSocket.Server({
+    server,
+    maxPayload: config.wsMaxPayload,
+    verifyClient: ({ req }, done) => {
+      const { allowed, retryAfterMs } = wsConnectLimiter.consume(
+        req.socket.remoteAddress
+      );
+      if (allowed) return done(true);
+      done(false, 429, "Too Many Requests", {
+        "Retry-After": String(Math.ceil(retryAfterMs / 1000)),
+      });
+    },
+  });
+
+  // 心跳：手机休眠、NAT 超时等场景下 TCP 连接可能处于半开状态，close 事件永远不会触发，
+  // 这类连接会一直留在 rooms 里。这里定期 ping，上一轮 ping 没有回 pong 的直接 terminate
+  // 定时器走注入的 clock，测试时可以用手动时钟精确触发心跳
+  let heartbeatTimer = null;
+
+  function scheduleHeartbeat() {
+    if (closed) return;
+    heartbeatTimer = clock.setTimeout(() => {
+      heartbeat();
+      scheduleHeartbeat();
+    }, HEARTBEAT_INTERVAL);
+  }
+
+  function heartbeat() {
+    // 重新上报本实例各房间的在线人数，其他实例据此确认这些计数仍然有效
+    for (const id of rooms.keys()) {
+      schedulePresence(id);
+    }
+    for (const ws of wss.clients) {
+      if (ws._isAlive === false) {
+        console.log("[WS] 心跳超时，断开连接");
+        ws.terminate();
+        continue;
+      }
+      ws._isAlive = false;
+      ws.ping();
+      // 浏览器拿不到协议层的 ping，再发一条应用层心跳，供客户端检测服务端是否失联
+      sendTo(ws, {
+        type: "heartbeat",
+        data: {
+          interval: HEARTBEAT_INTERVAL,
+          serverTime: currentTime().toISOString(),
+        },
+      });
+    }
+  }
+
+  scheduleHeartbeat();
+  wss.on("close", () => clock.clearTimeout(heartbeatTimer));
+
+  // 简单的“房间”管理：auctionId -> Set<ws>
+  // 一个连接可以同时加入多个房间（例如列表页同时关注所有拍卖），记录在 ws._auctionIds 中
+  const rooms = new Map();
+
+  function joinRoom(ws, auctionId) {
+    const id = Number(auctionId);
+    if (!id) return;
+    if (!rooms.has(id)) {
+      rooms.set(id, new Set());
+    }
+    rooms.get(id).add(ws);
+    if (!ws._auctionIds) {
+      ws._auctionIds = new Set();
+    }
+    ws._auctionIds.add(id);
+    schedulePresence(id);
+  }
+
+  function leaveRoom(ws, auctionId) {
+    const id = Number(auctionId);
+    if (!id || !ws._auctionIds) return;
+    const set = rooms.get(id);
+    if (set) {
+      set.delete(ws);
+      if (set.size === 0) {
+        rooms.delete(id);
+      }
+      schedulePresence(id);
+    }
+    ws._auctionIds.delete(id);
+  }
+
+  function leaveAllRooms(ws) {
+    if (!ws._auctionIds) return;
+    for (const id of [...ws._auctionIds]) {
+      leaveRoom(ws, id);
+    }
+  }
+
+  // 在线人数广播：auctionId -> 节流定时器
+  // 进出房间只标记“需要推送”，窗口结束时按房间当前人数推送一次，一波集中进场不会刷屏
+  const presenceTimers = new Map();
+
+  function schedulePresence(auctionId) {
+    if (closed || presenceTimers.has(auctionId)) return;
+    const timer = clock.setTimeout(() => {
+      presenceTimers.delete(auctionId);
+      broadcastPresence(auctionId);
+    }, PRESENCE_THROTTLE_MS);
+    presenceTimers.set(auctionId, timer);
+  }
+
+  // 各实例在每个拍卖房间的在线人数：auctionId -> Map<instanceId, { viewers, at }>，at 为收到上报的时间
+  const viewerCounts = new Map();
+
+  // 上报本实例房间的在线人数（viewers）和出过价的人数（bidders），所有实例收到后汇总推送；失败只记日志
+  // 房间已空时同样上报（人数为 0），其他实例据此去掉本实例的计数
+  async function broadcastPresence(
+    auctionId,
+    viewers = rooms.has(auctionId) ? rooms.get(auctionId).size : 0
+  ) {
+    try {
+      const bidders = await store.getBidderCount(auctionId);
+      publish({ kind: "presence", auctionId, instanceId, viewers, bidders });
+    } catch (err) {
+      console.error(`推送拍卖 ${auctionId} 在线人数失败:`, err);
+    }
+  }
+
+  // 收到某个实例上报的在线人数：更新它的计数，把各实例合计的人数推送给本实例房间内的连接
+  function handlePresence({ auctionId, instanceId: from, viewers, bidders }) {
+    const now = clock.now();
+    let counts = viewerCounts.get(auctionId);
+    if (!counts) {
+      counts = new Map();
+      viewerCounts.set(auctionId, counts);
+    }
+    if (viewers > 0) {
+      counts.set(from, { viewers, at: now });
+    } else {
+      counts.delete(from);
+    }
+    let total = 0;
+    for (const [id, count] of counts) {
+      if (now - count.at > PRESENCE_TTL_MS) {
+        counts.delete(id);
+      } else {
+        total += count.viewers;
+      }
+    }
+    if (counts.size === 0) {
+      viewerCounts.delete(auctionId);
+    }
+    deliverToAuction(auctionId, {
+      type: "presence",
+      data: {
+        auctionId,
+        viewers: total,
+        bidders,
+        serverTime: currentTime().toISOString(),
+      },
+    });
+  }
+
+  // lobby 频道：订阅者会收到所有拍卖的摘要变化（新建、出价、状态流转等），适合列表页 / 大屏
+  const lobbySockets = new Set();
+
+  // 拍卖生命周期调度：auctionId -> 下一次状态流转（开始 / 结束）的定时器
+  // 每个拍卖同一时间只挂一个定时器，到点后从库里读最新状态再决定下一步
+  const lifecycleTimers = new Map();
+
+  function clearLifecycleTimer(auctionId) {
+    const timer = lifecycleTimers.get(auctionId);
+    if (timer) {
+      clock.clearTimeout(timer);
+      lifecycleTimers.delete(auctionId);
+    }
+  }
+
+  function scheduleLifecycle(auction) {
+    clearLifecycleTimer(auction.id);
+    if (closed || !isLeader) return;
+    if (auction.status === "ended" || auction.status === "cancelled") return;
+    const nextAt =
+      auction.status === "pending"
+        ? new Date(auction.start_time)
+        : new Date(auction.end_time);
+    const delay = Math.max(0, nextAt.getTime() - clock.now());
+    const timer = clock.setTimeout(() => {
+      lifecycleTimers.delete(auction.id);
+      runLifecycleWithRetry(auction.id);
+    }, Math.min(delay, MAX_TIMER_DELAY));
+    lifecycleTimers.set(auction.id, timer);
+  }
+
+  // 第 retries 次重试的定时器：间隔按退避翻倍，有上限；期间有新的调度（修改拍卖、出价顺延等）会替换掉它
+  function scheduleLifecycleRetry(auctionId, retries) {
+    clearLifecycleTimer(auctionId);
+    if (closed || !isLeader) return;
+    const delay = Math.min(
+      LIFECYCLE_RETRY_MS * 2 ** retries,
+      LIFECYCLE_RETRY_MAX_MS
+    );
+    const timer = clock.setTimeout(() => {
+      lifecycleTimers.delete(auctionId);
+      runLifecycleWithRetry(auctionId, retries + 1);
+    }, delay);
+    lifecycleTimers.set(auctionId, timer);
+  }
+
+  // 执行状态流转，出错时只记日志并按退避重新调度，拍卖不会停在到期之后无人处理
+  function runLifecycleWithRetry(auctionId, retries = 0) {
+    return runLifecycle(auctionId, retries).catch((err) => {
+      console.error(`拍卖 ${auctionId} 状态流转失败:`, err);
+      scheduleLifecycleRetry(auctionId, retries);
+    });
+  }
+
+  // 到达开始时间的拍卖 pending → running，并广播开始；条件更新，与其他流转或出价并发时只会开始一次
+  // 除定时流转外，出价请求也会调用：leader 的定时器稍有延迟时，到点后的出价不会被当成未开始而拒绝
+  async function startDueAuction(auctionId, now) {
+    const started = await store.startAuction(auctionId, now);
+    if (!started) return;
+    const auction = await store.getAuction(auctionId);
+    const seq = await recordEvent(auctionId, "started", {}, { at: now });
+    broadcastToAuction(auctionId, {
+      type: "auctionStarted",
+      data: {
+        auctionId,
+        auction,
+        seq,
+        serverTime: currentTime().toISOString(),
+      },
+    });
+    await broadcastLobbySummary(auctionId);
+    console.log(`拍卖 ${auctionId} 已开始，已广播给相关房间。`);
+  }
+
+  // 执行到点的状态流转（pending → running → ended），并为下一次流转挂上定时器；只在 leader 上执行
+  // 出价顺延结束时间等修改了时间的场景，通过 requestLifecycle 重新调度；retries 为已重试的次数（出错或到期结算未生效）
+  async function runLifecycle(auctionId, retries = 0) {
+    if (!isLeader) return;
+    const auction = await store.getAuction(auctionId);
+    if (!auction) {
+      clearLifecycleTimer(auctionId);
+      return;
+    }
+    const now = currentTime();
+
+    if (auction.status === "pending" && new Date(auction.start_time) <= now) {
+      await startDueAuction(auction.id, now);
+      auction.status = "running";
+    }
+
+    if (auction.status === "running" && new Date(auction.end_time) <= now) {
+      // 条件更新：若期间有出价触发了结束时间顺延，这里不会误判为已结束
+      // 同时结算：写入成交结果、得标人和成交价，只有流转成功的这一次会广播
+      // 密封出价拍卖在结算时公开完整排名
+      const settlement = await store.endAuction(auction.id, now);
+      if (settlement) {
+        auction.status = "ended";
+        const result = {
+          ...toResult(settlement),
+          ranking:
+            auction.type === "sealed"
+              ? toRanking(await store.listSealedBids(auction.id))
+              : undefined,
+        };
+        const seq = await recordEvent(auction.id, "ended", result, { at: now });
+        broadcastToAuction(auction.id, {
+          type: "auctionEnded",
+          data: {
+            auctionId: auction.id,
+            ...result,
+            seq,
+            serverTime: currentTime().toISOString(),
+          },
+        });
+        await broadcastLobbySummary(auction.id);
+        console.log(
+          `拍卖 ${auction.id} 已结束（${settlement.outcome}），已广播给相关房间。`
+        );
+      } else {
+        // 结束时间已被顺延（或已被其他流转结束），重新读取后再调度；仍然到期时稍等片刻再结算，多次未成功后放慢重试
+        const latest = await store.getAuction(auction.id);
+        if (
+          latest &&
+          latest.status === "running" &&
+          new Date(latest.end_time) <= now
+        ) {
+          if (retries >= SETTLE_MAX_RETRIES) {
+            console.error(
+              `拍卖 ${auction.id} 已到期但多次结算未成功，稍后继续重试。`
+            );
+            scheduleLifecycleRetry(auction.id, retries);
+            return;
+          }
+          await new Promise((resolve) =>
+            clock.setTimeout(resolve, SETTLE_RETRY_MS)
+          );
+          return runLifecycle(auction.id, retries + 1);
+        }
+        return runLifecycle(auction.id);
+      }
+    }
+
+    scheduleLifecycle(auction);
+  }
+
+  // 拍卖时间或状态变化后重新调度：本实例是 leader 时直接执行，否则通知 leader
+  async function requestLifecycle(auctionId) {
+    if (isLeader) {
+      await runLifecycle(auctionId);
+    } else {
+      publish({ kind: "lifecycle", auctionId });
+    }
+  }
+
+  // leader 选举：定期获取 / 续约租约，成为 leader 时为所有未结束的拍卖挂上定时器（停机期间错过的流转会立即补上），
+  // 失去租约（或无法确认）时清掉本实例的所有定时器，由新的 leader 接手
+  const instanceId = crypto.randomBytes(8).toString("hex");
+  let isLeader = false;
+  let leaderTimer = null;
+
+  async function electLeader() {
+    let leading = false;
+    try {
+      const now = currentTime();
+      leading = await store.acquireLease(
+        LIFECYCLE_LEASE,
+        instanceId,
+        new Date(now.getTime() + LEADER_LEASE_MS),
+        now
+      );
+    } catch (err) {
+      console.error("续约 leader 租约失败:", err);
+    }
+    if (leading && !isLeader && !closed) {
+      isLeader = true;
+      console.log(`实例 ${instanceId} 成为 leader，负责拍卖状态流转。`);
+      let ids;
+      try {
+        ids = await store.listUnfinishedAuctionIds();
+      } catch (err) {
+        // 没能接手任何拍卖，下一次续约时重新当选并再接手一次
+        console.error("读取未结束的拍卖失败:", err);
+        isLeader = false;
+        return;
+      }
+      // 逐个接手，某个拍卖出错只影响它自己（按退避重试），不会让后面的拍卖没有定时器
+      for (const id of ids) {
+        await runLifecycleWithRetry(id);
+      }
+    } else if (!leading && isLeader) {
+      isLeader = false;
+      for (const id of [...lifecycleTimers.keys()]) {
+        clearLifecycleTimer(id);
+      }
+      console.log(`实例 ${instanceId} 不再是 leader。`);
+    }
+  }
+
+  function scheduleElection() {
+    if (closed) return;
+    leaderTimer = clock.setTimeout(() => {
+      electLeader()
+        .catch((err) => console.error("leader 选举失败:", err))
+        .then(scheduleElection);
+    }, LEADER_RENEW_MS);
+  }
+
+  // 跨实例广播：事件先发布到 broadcaster，所有实例（包括自己）收到后投递给本实例的连接
+  // 单实例时 broadcaster 为进程内实现，效果与直接投递相同
+  function publish(message) {
+    broadcaster.publish(message).catch((err) => {
+      console.error("发布广播事件失败:", err);
+    });
+  }
+
+  function handleBroadcast(message) {
+    if (message.kind === "auction") {
+      deliverToAuction(message.auctionId, message.payload);
+    } else if (message.kind === "lobby") {
+      deliverToLobby(message.payload);
+    } else if (message.kind === "presence") {
+      handlePresence(message);
+    } else if (message.kind === "lifecycle") {
+      if (isLeader) {
+        runLifecycleWithRetry(message.auctionId);
+      }
+    }
+  }
+  const unsubscribeBroadcast = broadcaster.subscribe(handleBroadcast);
+
+  function broadcastToAuction(auctionId, payload) {
+    const id = Number(auctionId);
+    if (!id) return;
+    publish({ kind: "auction", auctionId: id, payload });
+  }
+
+  // 投递给本实例上该拍卖房间内的连接
+  function deliverToAuction(auctionId, payload) {
+    const id = Number(auctionId);
+    if (!id) return;
+    const set = rooms.get(id);
+    if (!set) return;
+    const msg = JSON.stringify(payload);
+    for (const client of set) {
+      if (client.readyState === WebSocket.OPEN) {
+        client.send(msg);
+      }
+    }
+  }
+
+  function sendTo(ws, payload) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(payload));
+    }
+  }
+
+  // 向 lobby 频道推送某个拍卖的最新摘要（其他实例上也可能有 lobby 订阅者，所以总是发布）
+  // 推送失败只记日志，不影响触发它的出价 / 状态流转等主流程
+  async function broadcastLobbySummary(auctionId) {
+    try {
+      const auction = await store.getAuction(auctionId);
+      if (!auction) return;
+      publish({
+        kind: "lobby",
+        payload: {
+          type: "auctionSummary",
+          data: { auction, serverTime: currentTime().toISOString() },
+        },
+      });
+    } catch (err) {
+      console.error(`推送拍卖 ${auctionId} 摘要失败:`, err);
+    }
+  }
+
+  // 审计事件：每次状态变化按拍卖内连续递增的 seq 记一条，房间广播带上同一个 seq，客户端据此发现漏掉的消息
+  // secret 中的字段只落库、不通过接口返回；at 为状态变化发生的服务端时间
+  // 记录失败只记日志，不影响已经生效的状态变化；返回事件的 seq，失败时为 undefined
+  async function recordEvent(auctionId, type, data, { secret, at } = {}) {
+    try {
+      const event = await store.appendEvent({
+        auctionId,
+        type,
+        data,
+        secret,
+        at: at || currentTime(),
+      });
+      return event ? event.seq : undefined;
+    } catch (err) {
+      console.error(`记录拍卖 ${auctionId} 事件 ${type} 失败:`, err);
+      return undefined;
+    }
+  }
+
+  function deliverToLobby(payload) {
+    if (lobbySockets.size === 0) return;
+    const msg = JSON.stringify(payload);
+    for (const client of lobbySockets) {
+      if (client.readyState === WebSocket.OPEN) {
+        client.send(msg);
+      }
+    }
+  }
+
+  // 出价写入（store.placeBid 已更新价格并落库）之后的公共流程：审计事件、防狙击顺延、广播 bidUpdate / auctionExtended
+  // 手动出价和代理出价都走这里，auction 会同步更新为最新的价格和结束时间；返回 bidUpdate 消息
+  async function commitAcceptedBid(auction, bid) {
+    const id = auction.id;
+    const { user_id: bidder, amount, created_at: createdAt } = bid;
+    const proxy = !!bid.is_proxy;
+    const at = new Date(createdAt);
+    const seq = await recordEvent(
+      id,
+      "bid_accepted",
+      { bidId: bid.id, userId: bidder, amount, proxy },
+      { at }
+    );
+    auction.current_price = amount;
+
+    // 防狙击：出价落在结束前的 soft close 窗口内，则把结束时间顺延
+    // end_time 只精确到秒，这里同样取整到秒，保证广播出去的时间与库里一致
+    let extendedEndTime = null;
+    let extendedSeq;
+    const endTime = new Date(auction.end_time);
+    const softCloseMs = Number(auction.soft_close_seconds) * 1000;
+    if (softCloseMs > 0 && endTime.getTime() - at.getTime() <= softCloseMs) {
+      const newEnd = new Date(
+        Math.floor(
+          (at.getTime() + Number(auction.extension_seconds) * 1000) / 1000
+        ) * 1000
+      );
+      // 条件更新：只会延后、不会提前（并发出价时以更晚的结束时间为准）
+      if (await store.extendEndTime(id, newEnd)) {
+        extendedEndTime = newEnd;
+        auction.end_time = newEnd;
+        extendedSeq = await recordEvent(
+          id,
+          "extended",
+          { bidId: bid.id, endTime: newEnd },
+          { at }
+        );
+        // 结束时间变了，重新挂结束定时器
+        await requestLifecycle(id);
+      }
+    }
+
+    const payload = {
+      type: "bidUpdate",
+      data: {
+        auctionId: id,
+        newPrice: amount,
+        userId: bidder,
+        reserveMet:
+          auction.reserve_price === null ||
+          amount >= Number(auction.reserve_price),
+        bid,
+        seq,
+        serverTime: currentTime().toISOString(),
+      },
+    };
+
+    // 广播给房间内所有客户端（对应之前的 auction-{id} 房间）
+    broadcastToAuction(id, payload);
+
+    if (extendedEndTime) {
+      broadcastToAuction(id, {
+        type: "auctionExtended",
+        data: {
+          auctionId: id,
+          endTime: extendedEndTime.toISOString(),
+          seq: extendedSeq,
+          serverTime: currentTime().toISOString(),
+        },
+      });
+      console.log(
+        `拍卖 ${id} 在结束前出价，结束时间顺延至 ${extendedEndTime.toLocaleString()}`
+      );
+    }
+    return payload;
+  }
+
+  // 代理出价结算：auctionId -> 正在进行的结算（Promise）
+  // 同一拍卖的结算串行执行，避免两次结算基于同一个价格各自算出一组代理出价
+  const proxyQueues = new Map();
+
+  function resolveProxyBids(auctionId) {
+    const prev = proxyQueues.get(auctionId) || Promise.resolve();
+    const next = prev
+      .then(() => runProxyBids(auctionId))
+      .catch((err) => {
+        console.error(`拍卖 ${auctionId} 代理出价结算失败:`, err);
+      });
+    proxyQueues.set(auctionId, next);
+    next.then(() => {
+      if (proxyQueues.get(auctionId) === next) {
+        proxyQueues.delete(auctionId);
+      }
+    });
+    return next;
+  }
+
+  // 密封出价：每人一份，结束前可以修改（可高可低），不低于起拍价
+  // 金额只保存在 sealed_bids，不写入公开的出价记录（被拒绝的出价也不落库），广播的 bidUpdate 只带出价份数
+  // 审计事件同样只公开出价人，金额放在 secret 里
+  async function placeSealedBid(
+    res,
+    auction,
+    { bidder, amount, proxyMode, now }
+  ) {
+    const reject = (reason) =>
+      recordEvent(
+        auction.id,
+        "bid_rejected",
+        { userId: bidder, reason, proxy: proxyMode },
+        { secret: { amount }, at: now }
+      );
+    if (proxyMode) {
+      await reject("proxy_unsupported");
+      throw new ApiError(
+        "PROXY_UNSUPPORTED",
+        null,
+        "密封出价拍卖不支持自动出价"
+      );
+    }
+    if (auction.status === "cancelled") {
+      await reject("cancelled");
+      throw new ApiError("AUCTION_CANCELLED");
+    }
+    if (now < new Date(auction.start_time)) {
+      await reject("not_started");
+      throw new ApiError("AUCTION_NOT_STARTED");
+    }
+    if (auction.status === "ended" || now >= new Date(auction.end_time)) {
+      await reject("ended");
+      throw new ApiError("AUCTION_ENDED");
+    }
+    const startingPrice = Number(auction.current_price);
+    if (amount < startingPrice) {
+      await reject("too_low");
+      throw new ApiError(
+        "BID_TOO_LOW",
+        { currentPrice: startingPrice, minNextBid: startingPrice },
+        `出价不能低于起拍价 ¥${startingPrice.toFixed(2)}`
+      );
+    }
+    // 条件写入：校验之后拍卖已结束（结算已开始）时不再接受
+    const saved = await store.saveSealedBid({
+      auctionId: auction.id,
+      userId: bidder,
+      amount,
+      at: now,
+    });
+    if (!saved) {
+      await reject("ended");
+      throw new ApiError("AUCTION_ENDED");
+    }
+    const seq = await recordEvent(
+      auction.id,
+      "sealed_bid",
+      { userId: bidder },
+      { secret: { amount }, at: now }
+    );
+    const { sealed_bid_count: bidCount } = await store.getAuction(auction.id);
+    broadcastToAuction(auction.id, {
+      type: "bidUpdate",
+      data: {
+        auctionId: auction.id,
+        sealed: true,
+        bidCount,
+        seq,
+        serverTime: currentTime().toISOString(),
+      },
+    });
+    await broadcastLobbySummary(auction.id);
+    res.json({ message: "密封出价已提交，结束前可以修改", amount, bidCount });
+  }
+
+  // 按当前价格、领先者和所有代理上限算出需要代为提交的出价并逐条写入
+  // 每条都用条件更新写价格；期间有手动出价抢先时直接停止，由那次出价触发的结算接着处理
+  async function runProxyBids(auctionId) {
+    const auction = await store.getAuctionRecord(auctionId);
+    if (!auction || auction.status !== "running") return;
+    const proxies = await store.listProxyBids(auctionId);
+    if (proxies.length === 0) return;
+    const leader = await store.getLeadingBid(auctionId);
+
+    for (const step of planProxyBids(auction, leader, proxies)) {
+      const bid = await store.placeBid({
+        auctionId,
+        userId: step.userId,
+        expectedPrice: auction.current_price,
+        amount: step.amount,
+        proxy: true,
+        at: currentTime(),
+      });
+      if (!bid) break;
+      await commitAcceptedBid(auction, bid);
+      console.log(
+        `拍卖 ${auctionId} 代理出价：${step.userId} 自动出价 ${step.amount}`
+      );
+    }
+  }
+
+  // 处理 subscribe：加入若干拍卖房间和 / 或 lobby 频道，逐个校验后回复 subscribed 确认
+  // 加入成功的拍卖会立即收到一条 auctionData，lobby 会收到一条 lobbySnapshot
+  // sinceBidIds（auctionId -> 客户端最后看到的出价 id）用于断线重连：auctionData 会带上之后错过的出价 missedBids
+  async function subscribe(
+    ws,
+    { auctionIds = [], lobby = false, sinceBidIds = {} },
+    requestId
+  ) {
+    const joined = [];
+    const errors = [];
+    for (const rawId of auctionIds) {
+      const id = Number(rawId);
+      if (!Number.isInteger(id) || id <= 0) {
+        errors.push({
+          auctionId: rawId,
+          ...toErrorBody(new ApiError("INVALID_AUCTION_ID")),
+        });
+        continue;
+      }
+      const auction = await store.getAuction(id);
+      if (!auction) {
+        errors.push({
+          auctionId: id,
+          ...toErrorBody(new ApiError("AUCTION_NOT_FOUND")),
+        });
+        continue;
+      }
+      joinRoom(ws, id);
+      joined.push(id);
+      console.log(`[WS] 连接加入拍卖房间 auction-${id}`);
+
+      // 初次加入时，发送当前拍卖数据 + 服务端时间
+      const recentBids = await store.getRecentBids(id, RECENT_BIDS_LIMIT);
+      const sinceId = Number((sinceBidIds || {})[id]);
+      const missedBids =
+        Number.isInteger(sinceId) && sinceId >= 0
+          ? await store.getBidsSince(id, sinceId, MISSED_BIDS_LIMIT)
+          : undefined;
+      sendTo(ws, {
+        type: "auctionData",
+        data: {
+          auction,
+          recentBids,
+          missedBids,
+          serverTime: currentTime().toISOString(),
+        },
+      });
+    }
+
+    if (lobby) {
+      lobbySockets.add(ws);
+      const auctions = await store.listAuctions();
+      sendTo(ws, {
+        type: "lobbySnapshot",
+        data: { auctions, serverTime: currentTime().toISOString() },
+      });
+    }
+
+    sendTo(ws, {
+      type: "subscribed",
+      data: { requestId, auctionIds: joined, lobby: !!lobby, errors },
+    });
+  }
+
+  // 处理 unsubscribe：离开若干拍卖房间和 / 或 lobby 频道
+  function unsubscribe(ws, { auctionIds = [], lobby = false }, requestId) {
+    const left = [];
+    const errors = [];
+    for (const rawId of auctionIds) {
+      const id = Number(rawId);
+      if (!Number.isInteger(id) || id <= 0) {
+        errors.push({
+          auctionId: rawId,
+          ...toErrorBody(new ApiError("INVALID_AUCTION_ID")),
+        });
+        continue;
+      }
+      if (!ws._auctionIds || !ws._auctionIds.has(id)) {
+        errors.push({
+          auctionId: id,
+          ...toErrorBody(new ApiError("NOT_SUBSCRIBED")),
+        });
+        continue;
+      }
+      leaveRoom(ws, id);
+      left.push(id);
+      console.log(`[WS] 连接离开拍卖房间 auction-${id}`);
+    }
+    if (lobby) {
+      lobbySockets.delete(ws);
+    }
+    sendTo(ws, {
+      type: "unsubscribed",
+      data: { requestId, auctionIds: left, lobby: !!lobby, errors },
+    });
+  }
+
+  // 记录请求到达的时间，时间同步接口用它作为服务端收到请求的时刻
+  app.use((req, res, next) => {
+    req.receivedAt = clock.now();
+    next();
+  });
+  app.use(cors());
+  app.use(express.json());
+
+  // 简单日志
+  app.use((req, res, next) => {
+    console.log(`[HTTP] ${req.method} ${req.url}`);
+    next();
+  });
+
+  // 需要登录的接口：根据 Authorization: Bearer <token> 查出当前用户挂到 req.user 上
+  const requireAuth = asyncHandler(async (req, res, next) => {
+    const user = await getSessionUser(
+      store,
+      getBearerToken(req),
+      currentTime()
+    );
+    if (!user) {
+      throw new ApiError("UNAUTHORIZED");
+    }
+    req.user = user;
+    next();
+  });
+
+  // 管理端接口：需要以管理员（users.role 为 admin）身份登录；未登录返回 UNAUTHORIZED，不是管理员返回 FORBIDDEN
+  const requireAdmin = [
+    requireAuth,
+    (req, res, next) => {
+      if (req.user.role !== "admin") {
+        return next(new ApiError("FORBIDDEN"));
+      }
+      next();
+    },
+  ];
+
+  // 注册：用户名 2~32 位字母 / 数字 / 下划线，密码至少 6 位；注册成功直接登录
+  app.post(
+    "/api/auth/register",
+    asyncHandler(async (req, res) => {
+      const { username, password } = req.body || {};
+      if (
+        typeof username !== "string" ||
+        !/^[A-Za-z0-9_]{2,32}$/.test(username)
+      ) {
+        throw new ApiError("INVALID_USERNAME");
+      }
+      if (typeof password !== "string" || password.length < 6) {
+        throw new ApiError("INVALID_PASSWORD");
+      }
+      const user = await store.createUser(
+        username,
+        await hashPassword(password)
+      );
+      if (!user) {
+        throw new ApiError("USERNAME_TAKEN");
+      }
+      const token = await createSession(store, user.id, currentTime());
+      res.status(201).json({ token, user });
+    })
+  );
+
+  // 登录：返回会话 token，之后的 HTTP 请求放在 Authorization 头里，WebSocket 放在 ?token= 上
+  app.post(
+    "/api/auth/login",
+    asyncHandler(async (req, res) => {
+      const { username, password } = req.body || {};
+      if (typeof username !== "string" || typeof password !== "string") {
+        throw new ApiError("INVALID_PARAMS", null, "请输入用户名和密码");
+      }
+      const found = await store.findUserByUsername(username);
+      if (!found || !(await verifyPassword(password, found.password_hash))) {
+        throw new ApiError("INVALID_CREDENTIALS");
+      }
+      const user = { id: found.id, username: found.username, role: found.role };
+      const token = await createSession(store, user.id, currentTime());
+      res.json({ token, user });
+    })
+  );
+
+  // 退出登录：删除当前会话
+  app.post(
+    "/api/auth/logout",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      await store.deleteSession(getBearerToken(req));
+      res.json({ message: "已退出登录" });
+    })
+  );
+
+  // 当前登录用户
+  app.get("/api/auth/me", requireAuth, (req, res) => {
+    res.json({ user: req.user });
+  });
+
+  // 获取所有拍卖
+  app.get(
+    "/api/auctions",
+    asyncHandler(async (req, res) => {
+      res.json(await store.listAuctions());
+    })
+  );
+
+  // 当前实时连接情况：总连接数、lobby 订阅数、每个拍卖房间的在线连接数
+  app.get("/api/rooms", (req, res) => {
+    const roomCounts = {};
+    for (const [auctionId, set] of rooms) {
+      roomCounts[auctionId] = set.size;
+    }
+    res.json({
+      connections: wss.clients.size,
+      lobby: lobbySockets.size,
+      rooms: roomCounts,
+    });
+  });
+
+  // NTP 时间同步接口（用于计算客户端时间偏移量）
+  // 返回客户端发出时间 clientTime、服务端收到时间 receiveTime、服务端发出时间 sendTime（均为毫秒时间戳），
+  // 客户端再结合自己收到响应的时间扣除网络往返时延；serverTime 与 sendTime 相同，保留给旧客户端
+  app.post(
+    "/api/time-sync",
+    asyncHandler(async (req, res) => {
+      const { clientTime } = req.body || {};
+      if (typeof clientTime !== "number" && typeof clientTime !== "string") {
+        throw new ApiError("INVALID_PARAMS", null, "请提供 clientTime");
+      }
+      const sendTime = clock.now();
+      res.json({
+        clientTime:
+          typeof clientTime === "number"
+            ? clientTime
+            : new Date(clientTime).getTime(),
+        receiveTime: req.receivedAt,
+        sendTime,
+        serverTime: sendTime,
+      });
+    })
+  );
+
+  // 获取单个拍卖详情 + 当前服务端时间
+  app.get(
+    "/api/auctions/:id",
+    asyncHandler(async (req, res) => {
+      const id = Number(req.params.id);
+      if (!id) {
+        throw new ApiError("INVALID_AUCTION_ID");
+      }
+      const auction = await store.getAuction(id);
+      if (!auction) {
+        throw new ApiError("AUCTION_NOT_FOUND");
+      }
+      res.json({
+        auction,
+        serverTime: currentTime().toISOString(),
+      });
+    })
+  );
+
+  // 管理端：创建拍卖
+  // body: { name, type?, startTime, endTime, startingPrice, softCloseSeconds?, extensionSeconds?, reservePrice?, incrementRules? }
+  // 秒杀（type: "flash_sale"）另需 stock，可选 purchaseLimit（默认每人限购 1 件），startingPrice 即秒杀价
+  // 荷兰式拍卖（type: "dutch"）另需 floorPrice、priceStep、stepSeconds，startingPrice 为降价的起点
+  // 密封出价拍卖（type: "sealed"）可选 sealedPricing（first / second，默认 first），startingPrice 为最低出价
+  app.post(
+    "/api/auctions",
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+      const { values, error } = parseAuctionInput(req.body);
+      if (error) {
+        throw new ApiError("INVALID_AUCTION", null, error);
+      }
+      const typeError = checkTypeFields(values.type || "english", values, null);
+      if (typeError) {
+        throw new ApiError("INVALID_AUCTION", null, typeError);
+      }
+      if (values.type === "flash_sale" && values.purchase_limit === undefined) {
+        values.purchase_limit = DEFAULT_PURCHASE_LIMIT;
+      }
+      if (values.type === "sealed" && values.sealed_pricing === undefined) {
+        values.sealed_pricing = "first";
+      }
+      if (values.start_time >= values.end_time) {
+        throw new ApiError("INVALID_AUCTION", null, "开始时间必须早于结束时间");
+      }
+      if (values.end_time <= currentTime()) {
+        throw new ApiError("INVALID_AUCTION", null, "结束时间必须晚于当前时间");
+      }
+      const id = await store.createAuction(values);
+      const { data, secret } = splitAuctionValues(values);
+      await recordEvent(id, "created", data, { secret });
+      // 开始时间已过的拍卖会在这里直接流转为 running
+      await requestLifecycle(id);
+      await broadcastLobbySummary(id);
+      res.status(201).json({ auction: await store.getAuction(id) });
+    })
+  );
+
+  // 管理端：修改拍卖（名称、起止时间、起拍价、防狙击配置、保留价、加价规则）
+  // 已结束 / 已取消的拍卖不可修改；已开始的拍卖不可修改开始时间；有人出价后不可修改起拍价和保留价
+  app.patch(
+    "/api/auctions/:id",
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+      const id = Number(req.params.id);
+      if (!id) {
+        throw new ApiError("INVALID_AUCTION_ID");
+      }
+      const { values, error } = parseAuctionInput(req.body, { partial: true });
+      if (error) {
+        throw new ApiError("INVALID_AUCTION", null, error);
+      }
+      if (Object.keys(values).length === 0) {
+        throw new ApiError("INVALID_AUCTION", null, "没有需要修改的字段");
+      }
+      const auction = await store.getAuction(id);
+      if (!auction) {
+        throw new ApiError("AUCTION_NOT_FOUND");
+      }
+      if (auction.status === "ended" || auction.status === "cancelled") {
+        throw new ApiError(
+          "AUCTION_LOCKED",
+          { status: auction.status },
+          "拍卖已结束或已取消，不能修改"
+        );
+      }
+      if (values.start_time && auction.status !== "pending") {
+        throw new ApiError(
+          "AUCTION_LOCKED",
+          { status: auction.status },
+          "拍卖已开始，不能修改开始时间"
+        );
+      }
+      const startTime = values.start_time || new Date(auction.start_time);
+      const endTime = values.end_time || new Date(auction.end_time);
+      if (startTime >= endTime) {
+        throw new ApiError("INVALID_AUCTION", null, "开始时间必须早于结束时间");
+      }
+      if (values.end_time && endTime <= currentTime()) {
+        throw new ApiError("INVALID_AUCTION", null, "结束时间必须晚于当前时间");
+      }
+      const typeError = checkTypeFields(auction.type, values, auction);
+      if (typeError) {
+        throw new ApiError("INVALID_AUCTION", null, typeError);
+      }
+      // 秒杀开抢后库存只能由下单扣减，荷兰式拍卖开始后价格按时间表运行，价格和专属字段都不再改动
+      // 到达开始时间即可下单 / 接受，状态可能还没流转为 running
+      const typeFields = TYPE_FIELDS[auction.type];
+      if (
+        typeFields &&
+        (auction.status !== "pending" ||
+          new Date(auction.start_time) <= currentTime()) &&
+        (values.current_price !== undefined ||
+          typeFields.columns.some((c) => values[c] !== undefined))
+      ) {
+        throw new ApiError(
+          "AUCTION_LOCKED",
+          { status: auction.status },
+          `${typeFields.label}已开始，不能修改价格和${typeFields.desc}`
+        );
+      }
+      // 密封出价不进 bids 表，按已提交的密封出价份数算
+      const bidCount =
+        auction.type === "sealed"
+          ? Number(auction.sealed_bid_count)
+          : await store.countAcceptedBids(id);
+      const changesPrice =
+        values.current_price !== undefined ||
+        values.reserve_price !== undefined;
+      if (changesPrice && bidCount > 0) {
+        throw new ApiError(
+          "AUCTION_LOCKED",
+          { bidCount },
+          "已有人出价，不能修改起拍价或保留价"
+        );
+      }
+
+      // 条件更新：校验之后若拍卖状态变化或有人出价，本次修改不生效
+      const updatedOk = await store.updateAuction(id, values, {
+        expectedStatus: auction.status,
+        requireNoBids: changesPrice,
+      });
+      if (!updatedOk) {
+        throw new ApiError("AUCTION_CONFLICT");
+      }
+
+      const { data, secret } = splitAuctionValues(values);
+      const seq = await recordEvent(id, "updated", data, { secret });
+
+      // 起止时间可能变化，重新调度生命周期定时器
+      await requestLifecycle(id);
+      const updated = await store.getAuction(id);
+      broadcastToAuction(id, {
+        type: "auctionUpdated",
+        data: {
+          auctionId: id,
+          auction: updated,
+          seq,
+          serverTime: currentTime().toISOString(),
+        },
+      });
+      await broadcastLobbySummary(id);
+      res.json({ auction: updated });
+    })
+  );
+
+  // 管理端：取消拍卖（仅 pending / running 可取消），body: { reason? }
+  app.post(
+    "/api/auctions/:id/cancel",
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+      const id = Number(req.params.id);
+      if (!id) {
+        throw new ApiError("INVALID_AUCTION_ID");
+      }
+      const { reason } = req.body || {};
+      if (!(await store.getAuction(id))) {
+        throw new ApiError("AUCTION_NOT_FOUND");
+      }
+      if (!(await store.cancelAuction(id))) {
+        throw new ApiError(
+          "AUCTION_LOCKED",
+          null,
+          "拍卖已结束或已取消，不能再取消"
+        );
+      }
+      clearLifecycleTimer(id);
+      const cancelReason = typeof reason === "string" ? reason : "";
+      const seq = await recordEvent(id, "cancelled", { reason: cancelReason });
+      broadcastToAuction(id, {
+        type: "auctionCancelled",
+        data: {
+          auctionId: id,
+          reason: cancelReason,
+          seq,
+          serverTime: currentTime().toISOString(),
+        },
+      });
+      await broadcastLobbySummary(id);
+      console.log(`拍卖 ${id} 已被取消，已广播给相关房间。`);
+      res.json({ message: "拍卖已取消" });
+    })
+  );
+
+  // 分页获取出价记录：?page=1&pageSize=20，可选 ?status=accepted|rejected
+  app.get(
+    "/api/auctions/:id/bids",
+    asyncHandler(async (req, res) => {
+      const id = Number(req.params.id);
+      if (!id) {
+        throw new ApiError("INVALID_AUCTION_ID");
+      }
+      const page = Math.max(1, Math.floor(Number(req.query.page) || 1));
+      const pageSize = Math.min(
+        100,
+        Math.max(1, Math.floor(Number(req.query.pageSize) || 20))
+      );
+      const { status } = req.query;
+      if (
+        status !== undefined &&
+        status !== "accepted" &&
+        status !== "rejected"
+      ) {
+        throw new ApiError("INVALID_PARAMS", null, "无效的出价状态");
+      }
+      if (!(await store.getAuction(id))) {
+        throw new ApiError("AUCTION_NOT_FOUND");
+      }
+      const { items, total } = await store.listBids(id, {
+        status,
+        limit: pageSize,
+        offset: (page - 1) * pageSize,
+      });
+      res.json({ items, total, page, pageSize });
+    })
+  );
+
+  // 拍卖结算结果：成交结果、得标人和成交价，拍卖结束后才可查询（取消的拍卖没有结算结果）
+  // 密封出价拍卖另带全部出价的排名 ranking
+  app.get(
+    "/api/auctions/:id/result",
+    asyncHandler(async (req, res) => {
+      const id = Number(req.params.id);
+      if (!id) {
+        throw new ApiError("INVALID_AUCTION_ID");
+      }
+      const auction = await store.getAuction(id);
+      if (!auction) {
+        throw new ApiError("AUCTION_NOT_FOUND");
+      }
+      if (auction.status !== "ended") {
+        throw new ApiError(
+          "AUCTION_NOT_SETTLED",
+          { status: auction.status },
+          auction.status === "cancelled" ? "拍卖已取消" : undefined
+        );
+      }
+      res.json({
+        auctionId: id,
+        ...toResult(auction),
+        ranking:
+          auction.type === "sealed"
+            ? toRanking(await store.listSealedBids(id))
+            : undefined,
+      });
+    })
+  );
+
+  // 审计事件：?since=seq 返回该序号之后的事件（按 seq 正序，默认从头开始），?limit= 每页条数（默认 100，最多 1000）
+  // lastSeq 为当前最后一条事件的序号，items 的最后一条小于它时继续用最后一条的 seq 翻页
+  app.get(
+    "/api/auctions/:id/events",
+    asyncHandler(async (req, res) => {
+      const id = Number(req.params.id);
+      if (!id) {
+        throw new ApiError("INVALID_AUCTION_ID");
+      }
+      const since = Math.max(0, Math.floor(Number(req.query.since) || 0));
+      const limit = Math.min(
+        MAX_EVENTS_PAGE_SIZE,
+        Math.max(1, Math.floor(Number(req.query.limit) || EVENTS_PAGE_SIZE))
+      );
+      const auction = await store.getAuction(id);
+      if (!auction) {
+        throw new ApiError("AUCTION_NOT_FOUND");
+      }
+      const items = await store.listEvents(id, { sinceSeq: since, limit });
+      res.json({ items, lastSeq: auction.event_seq });
+    })
+  );
+
+  // 导出拍卖的完整时间线：?format=json（默认，带上拍卖信息）或 ?format=csv，以附件形式下载
+  app.get(
+    "/api/auctions/:id/events/export",
+    asyncHandler(async (req, res) => {
+      const id = Number(req.params.id);
+      if (!id) {
+        throw new ApiError("INVALID_AUCTION_ID");
+      }
+      const format = req.query.format || "json";
+      if (format !== "json" && format !== "csv") {
+        throw new ApiError("INVALID_PARAMS", null, "无效的导出格式");
+      }
+      const auction = await store.getAuction(id);
+      if (!auction) {
+        throw new ApiError("AUCTION_NOT_FOUND");
+      }
+      const events = await store.listEvents(id);
+      res.attachment(`auction-${id}-events.${format}`);
+      if (format === "csv") {
+        res.type("text/csv; charset=utf-8").send(toEventsCsv(events));
+      } else {
+        res.json({
+          auction,
+          exportedAt: currentTime().toISOString(),
+          events,
+        });
+      }
+    })
+  );
+
+  // 出价接口
+  // 出价人取自登录会话（bids.user_id 记录用户名），请求体里的 userId 会被忽略
+  // body: { amount } 为手动出价；{ maxAmount } 为代理出价，只设置上限，由服务端按最低加价幅度代为出价
+  // 先按 IP 限流（未登录的请求也会被拦下），登录后再按用户限流；被限流的请求不落库
+  const bidGuards = [
+    rateLimit(bidIpLimiter, (req) => req.ip),
+    requireAuth,
+    rateLimit(bidUserLimiter, (req) => req.user.id),
+  ];
+  app.post(
+    "/api/auctions/:id/bid",
+    bidGuards,
+    asyncHandler(async (req, res) => {
+      const id = Number(req.params.id);
+      const { amount, maxAmount } = req.body || {};
+      const proxyMode = maxAmount !== undefined;
+      const value = proxyMode ? maxAmount : amount;
+      if (!id) {
+        throw new ApiError("INVALID_AUCTION_ID");
+      }
+      if (typeof value !== "number" || !Number.isFinite(value) || value <= 0) {
+        throw new ApiError("INVALID_AMOUNT");
+      }
+      const bidder = req.user.username;
+      const now = currentTime();
+      // 出价被拒绝时同样落库并记一条审计事件，便于事后回溯
+      const reject = async (reason) => {
+        const bid = await store.recordBid({
+          auctionId: id,
+          userId: bidder,
+          amount: value,
+          status: "rejected",
+          reason,
+          proxy: proxyMode,
+          at: now,
+        });
+        await recordEvent(
+          id,
+          "bid_rejected",
+          {
+            bidId: bid.id,
+            userId: bidder,
+            amount: value,
+            reason,
+            proxy: proxyMode,
+          },
+          { at: now }
+        );
+      };
+      const auction = await store.getAuctionRecord(id);
+      if (!auction) {
+        throw new ApiError("AUCTION_NOT_FOUND");
+      }
+      if (auction.type === "flash_sale") {
+        throw new ApiError(
+          "WRONG_AUCTION_TYPE",
+          { type: auction.type },
+          "秒杀商品不能出价，请直接抢购"
+        );
+      }
+      if (auction.type === "dutch") {
+        throw new ApiError(
+          "WRONG_AUCTION_TYPE",
+          { type: auction.type },
+          "荷兰式拍卖不能出价，请接受当前价格"
+        );
+      }
+      if (auction.type === "sealed") {
+        return await placeSealedBid(res, auction, {
+          bidder,
+          amount: value,
+          proxyMode,
+          now,
+        });
+      }
+      const startTime = new Date(auction.start_time);
+      const endTime = new Date(auction.end_time);
+
+      if (auction.status === "cancelled") {
+        await reject("cancelled");
+        throw new ApiError("AUCTION_CANCELLED");
+      }
+      if (auction.status === "pending" && now >= startTime) {
+        await startDueAuction(id, now);
+        auction.status = "running";
+      }
+      if (now < startTime || auction.status === "pending") {
+        await reject("not_started");
+        throw new ApiError("AUCTION_NOT_STARTED");
+      }
+      if (now > endTime || auction.status === "ended") {
+        await reject("ended");
+        throw new ApiError("AUCTION_ENDED");
+      }
+      // 最低出价 = 当前价格 + 当前价格所在区间的加价幅度
+      const minBid = getMinNextBid(auction);
+
+      if (proxyMode) {
+        const leader = await store.getLeadingBid(id);
+        if (leader && leader.user_id === bidder) {
+          // 已经领先时只是提高上限，不产生新的出价
+          const currentMax = await store.getProxyMax(id, bidder);
+          const floor = Math.max(
+            Number(auction.current_price),
+            currentMax || 0
+          );
+          if (maxAmount <= floor) {
+            throw new ApiError(
+              "PROXY_MAX_TOO_LOW",
+              {
+                currentPrice: Number(auction.current_price),
+                maxAmount: currentMax,
+              },
+              `新的上限必须高于 ¥${floor.toFixed(2)}`
+            );
+          }
+        } else if (maxAmount < minBid) {
+          await reject("too_low");
+          throw new ApiError(
+            "PROXY_MAX_TOO_LOW",
+            { currentPrice: Number(auction.current_price), minNextBid: minBid },
+            `自动出价上限至少为 ¥${minBid.toFixed(2)}`
+          );
+        }
+        await store.saveProxyMax({
+          auctionId: id,
+          userId: bidder,
+          maxAmount,
+          at: now,
+        });
+        await recordEvent(
+          id,
+          "proxy_set",
+          { userId: bidder },
+          { secret: { maxAmount }, at: now }
+        );
+        await resolveProxyBids(id);
+        await broadcastLobbySummary(id);
+        schedulePresence(id);
+
+        const latestLeader = await store.getLeadingBid(id);
+        const leading = !!latestLeader && latestLeader.user_id === bidder;
+        const latest = await store.getAuction(id);
+        return res.json({
+          message: leading
+            ? "自动出价已生效，当前由你领先"
+            : "其他人的自动出价上限更高，你已被超越",
+          leading,
+          maxAmount,
+          currentPrice: Number(latest.current_price),
+        });
+      }
+
+      if (amount < minBid) {
+        await reject("too_low");
+        throw new ApiError(
+          "BID_TOO_LOW",
+          { currentPrice: Number(auction.current_price), minNextBid: minBid },
+          `出价至少为 ¥${minBid.toFixed(2)}`
+        );
+      }
+
+      // 条件更新（compare-and-set）：只有当前价格仍是校验时看到的价格、且拍卖未结束时才写入，
+      // 避免两个并发出价都通过上面的校验后，较低的出价覆盖较高的出价，或绕过加价幅度
+      // 价格和出价记录在存储层一起写入，结算时不会出现价格已变、出价记录还没落库的情况
+      let expectedPrice = auction.current_price;
+      let bid;
+      for (let attempt = 1; ; attempt += 1) {
+        bid = await store.placeBid({
+          auctionId: id,
+          userId: bidder,
+          expectedPrice,
+          amount,
+          at: now,
+        });
+        if (bid) break;
+
+        const latest = await store.getAuction(id);
+        if (
+          !latest ||
+          latest.status !== "running" ||
+          new Date(latest.end_time) < now
+        ) {
+          await reject("ended");
+          throw new ApiError("AUCTION_ENDED");
+        }
+        // 提交过程中价格被他人推高：本次出价仍满足新价格的加价幅度则按新价格重试，否则视为被超越
+        const latestMinBid = getMinNextBid(latest);
+        if (attempt >= BID_CAS_RETRIES || amount < latestMinBid) {
+          await reject("outbid");
+          throw new ApiError("BID_OUTBID", {
+            currentPrice: Number(latest.current_price),
+            minNextBid: latestMinBid,
+          });
+        }
+        expectedPrice = latest.current_price;
+      }
+
+      const payload = await commitAcceptedBid(auction, bid);
+      // 其他人设置的代理出价可能需要自动应价
+      await resolveProxyBids(id);
+      await broadcastLobbySummary(id);
+      // 可能是新的出价人，刷新出价人数
+      schedulePresence(id);
+
+      res.json({
+        message: "出价成功",
+        ...payload,
+      });
+    })
+  );
+
+  // 查询自己在某个拍卖上的代理出价上限
+  app.get(
+    "/api/auctions/:id/proxy",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const id = Number(req.params.id);
+      if (!id) {
+        throw new ApiError("INVALID_AUCTION_ID");
+      }
+      const maxAmount = await store.getProxyMax(id, req.user.username);
+      res.json({ maxAmount });
+    })
+  );
+
+  // 秒杀抢购：按秒杀价购买 quantity 件（默认 1），body: { quantity? }
+  // 库存扣减和每人限购的校验在存储层原子完成，并发抢购不会超卖；与出价共用限流
+  // 成功后向房间广播 stockUpdate（剩余库存），并刷新 lobby 摘要
+  app.post(
+    "/api/auctions/:id/purchase",
+    bidGuards,
+    asyncHandler(async (req, res) => {
+      const id = Number(req.params.id);
+      const { quantity = 1 } = req.body || {};
+      if (!id) {
+        throw new ApiError("INVALID_AUCTION_ID");
+      }
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw new ApiError("INVALID_QUANTITY");
+      }
+      const buyer = req.user.username;
+      const now = currentTime();
+      const result = await store.purchase({
+        auctionId: id,
+        userId: buyer,
+        quantity,
+        now,
+      });
+      if (result.reason) {
+        const [code, message] = PURCHASE_ERRORS[result.reason];
+        throw new ApiError(code, { stock: result.stock }, message);
+      }
+      const seq = await recordEvent(
+        id,
+        "purchased",
+        {
+          purchaseId: result.purchase.id,
+          userId: buyer,
+          quantity,
+          price: Number(result.purchase.price),
+          stock: result.stock,
+        },
+        { at: now }
+      );
+      broadcastToAuction(id, {
+        type: "stockUpdate",
+        data: {
+          auctionId: id,
+          stock: result.stock,
+          userId: buyer,
+          quantity,
+          seq,
+          serverTime: currentTime().toISOString(),
+        },
+      });
+      await broadcastLobbySummary(id);
+      console.log(
+        `秒杀 ${id}：${buyer} 抢购 ${quantity} 件，剩余库存 ${result.stock}`
+      );
+      res.json({
+        message: "抢购成功",
+        purchase: result.purchase,
+        stock: result.stock,
+        purchased: result.purchased,
+      });
+    })
+  );
+
+  // 荷兰式拍卖：以服务端当前时间对应的价格成交，第一个接受的人得标，拍卖随即结束
+  // 成交用条件更新保证只有一个人成功；成交后广播 auctionEnded（与到期结束相同）；与出价共用限流
+  app.post(
+    "/api/auctions/:id/accept",
+    bidGuards,
+    asyncHandler(async (req, res) => {
+      const id = Number(req.params.id);
+      if (!id) {
+        throw new ApiError("INVALID_AUCTION_ID");
+      }
+      const buyer = req.user.username;
+      const now = currentTime();
+      // 没抢到的接受同样记审计事件，「我明明先点的」这类纠纷可以按服务端时间核对
+      const reject = (reason, price) =>
+        recordEvent(
+          id,
+          "bid_rejected",
+          { userId: buyer, amount: price, reason },
+          { at: now }
+        );
+      const auction = await store.getAuctionRecord(id);
+      if (!auction) {
+        throw new ApiError("AUCTION_NOT_FOUND");
+      }
+      if (auction.type !== "dutch") {
+        throw new ApiError(
+          "WRONG_AUCTION_TYPE",
+          { type: auction.type },
+          "只有荷兰式拍卖可以接受当前价格"
+        );
+      }
+      if (auction.status === "cancelled") {
+        await reject("cancelled");
+        throw new ApiError("AUCTION_CANCELLED");
+      }
+      if (auction.status === "ended") {
+        await reject(auction.winner_user_id ? "taken" : "ended");
+        throw new ApiError(
+          auction.winner_user_id ? "ALREADY_SOLD" : "AUCTION_ENDED"
+        );
+      }
+      if (new Date(auction.start_time) > now) {
+        await reject("not_started");
+        throw new ApiError("AUCTION_NOT_STARTED");
+      }
+      if (new Date(auction.end_time) <= now) {
+        await reject("ended");
+        throw new ApiError("AUCTION_ENDED");
+      }
+
+      const price = getDutchPrice(auction, now);
+      const accepted = await store.acceptDutchAuction(id, {
+        userId: buyer,
+        price,
+        now,
+      });
+      if (!accepted) {
+        await reject("taken", price);
+        throw new ApiError(
+          "ALREADY_SOLD",
+          null,
+          "已被他人抢先成交或拍卖已结束"
+        );
+      }
+      // 成交同样记一条成功出价，出价记录和出价人数与竞价一致
+      const bid = await store.recordBid({
+        auctionId: id,
+        userId: buyer,
+        amount: price,
+        status: "accepted",
+        at: now,
+      });
+      const bidSeq = await recordEvent(
+        id,
+        "bid_accepted",
+        { bidId: bid.id, userId: buyer, amount: price, proxy: false },
+        { at: now }
+      );
+      const result = toResult({
+        outcome: "sold",
+        winner_user_id: buyer,
+        final_price: price,
+        settled_at: now,
+      });
+      const seq = await recordEvent(id, "ended", result, { at: now });
+      // 拍卖已结束，清掉生命周期定时器
+      await requestLifecycle(id);
+
+      // 成交的出价和结束各占一个事件序号，依次推送 bidUpdate 和 auctionEnded，客户端不会看到跳号
+      broadcastToAuction(id, {
+        type: "bidUpdate",
+        data: {
+          auctionId: id,
+          newPrice: price,
+          userId: buyer,
+          reserveMet: true,
+          bid,
+          seq: bidSeq,
+          serverTime: currentTime().toISOString(),
+        },
+      });
+      broadcastToAuction(id, {
+        type: "auctionEnded",
+        data: {
+          auctionId: id,
+          ...result,
+          seq,
+          serverTime: currentTime().toISOString(),
+        },
+      });
+      await broadcastLobbySummary(id);
+      console.log(`荷兰式拍卖 ${id}：${buyer} 以 ${price} 成交`);
+      res.json({ message: "成交", auctionId: id, ...result });
+    })
+  );
+
+  // 查询自己在某个密封出价拍卖上的出价（只有自己能看到），没有出价时 amount 为 null
+  app.get(
+    "/api/auctions/:id/sealed-bid",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const id = Number(req.params.id);
+      if (!id) {
+        throw new ApiError("INVALID_AUCTION_ID");
+      }
+      const amount = await store.getSealedBid(id, req.user.username);
+      res.json({ amount });
+    })
+  );
+
+  // 查询自己在某个秒杀上已购买的数量
+  app.get(
+    "/api/auctions/:id/purchase",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const id = Number(req.params.id);
+      if (!id) {
+        throw new ApiError("INVALID_AUCTION_ID");
+      }
+      const quantity = await store.getPurchasedQuantity(id, req.user.username);
+      res.json({ quantity });
+    })
+  );
+
+  // 未匹配的 /api 请求统一返回 NOT_FOUND；errorHandler 必须在所有路由之后注册
+  app.use("/api", (req, res, next) => next(new ApiError("NOT_FOUND")));
+  app.use(errorHandler);
+
+  // WebSocket 逻辑（原生协议，事件封装自己处理）
+  // 浏览器的 WebSocket 不能自定义请求头，登录 token 通过连接地址上的 ?token= 传入
+  // 不带 token 的连接是匿名观众，可以订阅和围观；token 无效时同样按匿名处理，并在 session 消息里告知客户端
+  async function authenticateSocket(ws, req) {
+    const token = new URL(req.url, "http://localhost").searchParams.get(
+      "token"
+    );
+    try {
+      ws._user = await getSessionUser(store, token, currentTime());
+    } catch (err) {
+      console.error("[WS] 校验登录状态失败:", err);
+      ws._user = null;
+    }
+    sendTo(ws, {
+      type: "session",
+      data: {
+        user: ws._user,
+        reason: token && !ws._user ? "invalid_token" : undefined,
+      },
+    });
+  }
+
+  // 回复 error 消息，结构与 HTTP 错误响应相同，另带上触发错误的请求的 requestId
+  function sendError(ws, requestId, err) {
+    sendTo(ws, { type: "error", data: { requestId, ...toErrorBody(err) } });
+  }
+
+  wss.on("connection", (ws, req) => {
+    console.log("[WS] 客户端已连接:", req.socket.remoteAddress);
+
+    ws._isAlive = true;
+    ws.on("pong", () => {
+      ws._isAlive = true;
+    });
+
+    ws._user = null;
+    authenticateSocket(ws, req);
+
+    ws.on("message", async (message) => {
+      // 时间同步消息需要服务端收到消息的时刻，在解析之前先记下
+      const receivedAt = clock.now();
+      // 超出频率的消息直接丢弃（不解析、不查库），回复 RATE_LIMITED 和需要等待的毫秒数
+      const { allowed, retryAfterMs } = wsMessageLimiter.consume(ws);
+      if (!allowed) {
+        sendError(
+          ws,
+          peekRequestId(message.toString()),
+          new ApiError(
+            "RATE_LIMITED",
+            { retryAfterMs },
+            "消息过于频繁，请稍后再试"
+          )
+        );
+        return;
+      }
+      let data;
+      try {
+        data = JSON.parse(message.toString());
+      } catch (e) {
+        console.error("收到非 JSON 消息，已忽略:", message.toString());
+        sendError(
+          ws,
+          undefined,
+          new ApiError("INVALID_JSON", null, "消息必须是 JSON")
+        );
+        return;
+      }
+
+      const { type, payload, requestId } = data || {};
+
+      try {
+        // 订阅 / 退订：payload 为 { auctionIds: number[], lobby: boolean }
+        if (type === "subscribe" || type === "unsubscribe") {
+          const {
+            auctionIds = [],
+            lobby = false,
+            sinceBidIds = {},
+          } = payload || {};
+          if (
+            !Array.isArray(auctionIds) ||
+            auctionIds.length > maxSubscribeIds
+          ) {
+            return sendError(
+              ws,
+              requestId,
+              new ApiError(
+                "INVALID_PAYLOAD",
+                null,
+                `auctionIds 必须是数组，且一次最多 ${maxSubscribeIds} 个`
+              )
+            );
+          }
+          if (type === "subscribe") {
+            // 每个拍卖都要查库，按拍卖数计入消息限流（这条消息本身已经计过一次）
+            if (auctionIds.length > 1) {
+              const limited = wsMessageLimiter.consume(
+                ws,
+                auctionIds.length - 1
+              );
+              if (!limited.allowed) {
+                return sendError(
+                  ws,
+                  requestId,
+                  new ApiError(
+                    "RATE_LIMITED",
+                    { retryAfterMs: limited.retryAfterMs },
+                    "订阅过于频繁，请稍后再试"
+                  )
+                );
+              }
+            }
+            await subscribe(ws, { auctionIds, lobby, sinceBidIds }, requestId);
+          } else {
+            unsubscribe(ws, { auctionIds, lobby }, requestId);
+          }
+          return;
+        }
+
+        // 时间同步：payload 为 { clientTime }，原样带回并附上服务端收到 / 发出的时间，算法与 /api/time-sync 相同
+        if (type === "timeSync") {
+          const { clientTime } = payload || {};
+          if (typeof clientTime !== "number" || !Number.isFinite(clientTime)) {
+            return sendError(
+              ws,
+              requestId,
+              new ApiError(
+                "INVALID_PAYLOAD",
+                null,
+                "clientTime 必须是毫秒时间戳"
+              )
+            );
+          }
+          return sendTo(ws, {
+            type: "timeSync",
+            data: {
+              requestId,
+              clientTime,
+              receiveTime: receivedAt,
+              sendTime: clock.now(),
+            },
+          });
+        }
+
+        // 兼容旧协议：加入 / 离开单个拍卖“房间”
+        if (type === "joinAuction" || type === "leaveAuction") {
+          const { auctionId } = payload || {};
+          const auctionIds = [auctionId];
+          if (type === "joinAuction") {
+            await subscribe(ws, { auctionIds }, requestId);
+          } else {
+            unsubscribe(ws, { auctionIds }, requestId);
+          }
+          return;
+        }
+
+        sendError(
+          ws,
+          requestId,
+          new ApiError(
+            "UNKNOWN_MESSAGE_TYPE",
+            { type },
+            `未知的消息类型：${type}`
+          )
+        );
+      } catch (err) {
+        if (!(err instanceof ApiError)) {
+          console.error(err);
+        }
+        sendError(
+          ws,
+          requestId,
+          err instanceof ApiError ? err : new ApiError("INTERNAL_ERROR")
+        );
+      }
+    });
+
+    // 协议错误（如消息超过 maxPayload）时 ws 会触发 error 并随后关闭连接；必须监听，否则整个进程会因未处理的 error 退出
+    ws.on("error", (err) => {
+      console.error("[WS] 连接出错，已断开:", err.message);
+    });
+
+    ws.on("close", () => {
+      leaveAllRooms(ws);
+      lobbySockets.delete(ws);
+      wsMessageLimiter.reset(ws);
+      console.log("[WS] 客户端断开连接");
+    });
+  });
+
+  await electLeader();
+  scheduleElection();
+
+  // 停止服务：清理所有定时器、断开所有 WebSocket 连接并关闭 HTTP 服务；是 leader 时释放租约，让其他实例尽快接替
+  // 存储和广播由调用方自行关闭
+  async function close() {
+    closed = true;
+    clock.clearTimeout(heartbeatTimer);
+    clock.clearTimeout(leaderTimer);
+    for (const timer of presenceTimers.values()) {
+      clock.clearTimeout(timer);
+    }
+    presenceTimers.clear();
+    // 其他实例上的在线人数去掉本实例的连接
+    await Promise.all([...rooms.keys()].map((id) => broadcastPresence(id, 0)));
+    unsubscribeBroadcast();
+    if (isLeader) {
+      isLeader = false;
+      try {
+        await store.releaseLease(LIFECYCLE_LEASE, instanceId);
+      } catch (err) {
+        console.error("释放 leader 租约失败:", err);
+      }
+    }
+    for (const id of [...lifecycleTimers.keys()]) {
+      clearLifecycleTimer(id);
+    }
+    for (const ws of wss.clients) {
+      ws.terminate();
+    }
+    await new Promise((resolve) => wss.close(() => resolve()));
+    if (server.listening) {
+      await new Promise((resolve, reject) =>
+        server.close((err) => (err ? reject(err) : resolve()))
+      );
+    }
+  }
+
+  return { app, server, wss, close };
+}
+
+module.exports = { createApp, seedDemoData, systemClock, hashPassword };
@@ -0,0 +1,11 @@
+const { createLocalBroadcaster, createLocalHub } = require("./local");
+const { createRedisBroadcaster } = require("./redis");
+
+// 按配置选择广播实现：BROADCAST=local（默认，单实例）或 BROADCAST=redis（多实例通过 Redis 发布 / 订阅互通）
+function createBroadcaster(type = process.env.BROADCAST || "local") {
+  if (type === "local") return createLocalBroadcaster();
+  if (type === "redis") return createRedisBroadcaster();
+  throw new Error(`未知的广播类型：${type}（可选 local / redis）`);
+}
+
+module.exports = { createBroadcaster, createLocalBroadcaster, createLocalHub };
@@ -0,0 +1,51 @@
+// 进程内广播：单实例部署的默认实现，发布的事件同步投递给所有订阅者
+// 多个实例共用同一个 hub 时（同一进程内起多个 createApp），可以模拟多节点通过 Redis 等互通，用于本地验证
+// 投递前会做一次 JSON 序列化，与跨进程传输时收到的数据保持一致
+
+function createLocalHub() {
+  const handlers = new Set();
+  return {
+    add: (handler) => handlers.add(handler),
+    remove: (handler) => handlers.delete(handler),
+    deliver(raw) {
+      for (const handler of [...handlers]) {
+        try {
+          handler(JSON.parse(raw));
+        } catch (err) {
+          console.error("[Broadcast] 处理广播事件失败:", err);
+        }
+      }
+    },
+  };
+}
+
+function createLocalBroadcaster({ hub = createLocalHub() } = {}) {
+  const own = new Set(); // 本实例注册的订阅者，close 时从 hub 上移除
+
+  return {
+    async init() {},
+
+    async publish(message) {
+      hub.deliver(JSON.stringify(message));
+    },
+
+    // 订阅所有事件，返回取消订阅的函数
+    subscribe(handler) {
+      own.add(handler);
+      hub.add(handler);
+      return () => {
+        own.delete(handler);
+        hub.remove(handler);
+      };
+    },
+
+    async close() {
+      for (const handler of own) {
+        hub.remove(handler);
+      }
+      own.clear();
+    },
+  };
+}
+
+module.exports = { createLocalBroadcaster, createLocalHub };
@@ -0,0 +1,69 @@
+// Redis 发布 / 订阅：所有实例订阅同一个频道，任意实例发布的事件（包括自己发布的）所有实例都能收到
+// redis 客户端是可选依赖（optionalDependencies），只有选择 BROADCAST=redis 时才会加载
+
+function createRedisBroadcaster({
+  url = process.env.REDIS_URL || "redis://127.0.0.1:6379",
+  channel = process.env.REDIS_CHANNEL || "auction:events",
+} = {}) {
+  let publisher = null;
+  let subscriber = null;
+  const handlers = new Set();
+
+  return {
+    async init() {
+      let createClient;
+      try {
+        ({ createClient } = require("redis"));
+      } catch (err) {
+        if (err.code !== "MODULE_NOT_FOUND") throw err;
+        throw new Error(
+          "使用 BROADCAST=redis 需要 redis 客户端，请在 server 目录执行 npm install redis"
+        );
+      }
+      publisher = createClient({ url });
+      // 订阅模式下的连接不能再执行其他命令，发布和订阅各用一个连接
+      subscriber = publisher.duplicate();
+      for (const client of [publisher, subscriber]) {
+        client.on("error", (err) => {
+          console.error("[Redis] 连接出错:", err.message);
+        });
+      }
+      await publisher.connect();
+      await subscriber.connect();
+      await subscriber.subscribe(channel, (raw) => {
+        let message;
+        try {
+          message = JSON.parse(raw);
+        } catch (err) {
+          console.error("[Redis] 收到无法解析的广播事件，已忽略:", raw);
+          return;
+        }
+        for (const handler of [...handlers]) {
+          try {
+            handler(message);
+          } catch (err) {
+            console.error("[Broadcast] 处理广播事件失败:", err);
+          }
+        }
+      });
+    },
+
+    async publish(message) {
+      await publisher.publish(channel, JSON.stringify(message));
+    },
+
+    // 订阅所有事件，返回取消订阅的函数
+    subscribe(handler) {
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    },
+
+    async close() {
+      handlers.clear();
+      if (subscriber) await subscriber.quit();
+      if (publisher) await publisher.quit();
+    },
+  };
+}
+
+module.exports = { createRedisBroadcaster };
@@ -0,0 +1,103 @@
+// 统一的错误结构：HTTP 错误响应和 WebSocket 的 error 消息都是 { code, message, details? }
+// code 为机器可读的错误码，客户端据此分支处理、本地化提示；message 为默认的中文提示；
+// details 为与错误相关的数据（如 BID_TOO_LOW 带上 currentPrice 和 minNextBid），没有时省略
+
+// 错误码 -> [HTTP 状态码, 默认提示]
+const ERROR_CODES = {
+  // 通用
+  INVALID_JSON: [400, "请求体必须是合法的 JSON"],
+  INVALID_PARAMS: [400, "参数错误"],
+  NOT_FOUND: [404, "接口不存在"],
+  RATE_LIMITED: [429, "操作过于频繁，请稍后再试"],
+  INTERNAL_ERROR: [500, "服务器内部错误"],
+
+  // 登录
+  UNAUTHORIZED: [401, "请先登录"],
+  FORBIDDEN: [403, "没有权限执行此操作"],
+  INVALID_USERNAME: [400, "用户名需为 2~32 位字母、数字或下划线"],
+  INVALID_PASSWORD: [400, "密码至少 6 位"],
+  USERNAME_TAKEN: [409, "用户名已被占用"],
+  INVALID_CREDENTIALS: [401, "用户名或密码错误"],
+
+  // 拍卖
+  INVALID_AUCTION_ID: [400, "无效的拍卖 ID"],
+  INVALID_AUCTION: [400, "拍卖参数错误"],
+  AUCTION_NOT_FOUND: [404, "拍卖不存在"],
+  AUCTION_NOT_STARTED: [400, "拍卖尚未开始"],
+  AUCTION_ENDED: [400, "拍卖已结束"],
+  AUCTION_CANCELLED: [400, "拍卖已取消"],
+  AUCTION_NOT_SETTLED: [409, "拍卖尚未结束"],
+  AUCTION_LOCKED: [400, "拍卖当前状态下不能修改"],
+  AUCTION_CONFLICT: [409, "拍卖状态已变化，请刷新后重试"],
+  WRONG_AUCTION_TYPE: [400, "该拍卖类型不支持此操作"],
+
+  // 出价
+  INVALID_AMOUNT: [400, "参数错误或金额无效"],
+  BID_TOO_LOW: [400, "出价过低"],
+  BID_OUTBID: [409, "出价时已被他人超越"],
+  PROXY_MAX_TOO_LOW: [400, "自动出价上限过低"],
+  PROXY_UNSUPPORTED: [400, "该拍卖不支持自动出价"],
+  ALREADY_SOLD: [409, "已被他人抢先成交"],
+
+  // 秒杀
+  INVALID_QUANTITY: [400, "参数错误或数量无效"],
+  SOLD_OUT: [409, "已售罄"],
+  INSUFFICIENT_STOCK: [409, "库存不足"],
+  PURCHASE_LIMIT_EXCEEDED: [400, "超出每人限购数量"],
+
+  // WebSocket 消息
+  INVALID_PAYLOAD: [400, "消息内容不合法"],
+  UNKNOWN_MESSAGE_TYPE: [400, "未知的消息类型"],
+  NOT_SUBSCRIBED: [400, "未订阅该拍卖"],
+};
+
+// 业务错误：在路由里直接 throw，由 errorHandler 统一转成响应；message 不传时使用错误码的默认提示
+class ApiError extends Error {
+  constructor(code, details, message) {
+    const [status, defaultMessage] = ERROR_CODES[code];
+    super(message || defaultMessage);
+    this.name = "ApiError";
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// 错误的对外结构（HTTP 响应体和 WebSocket error 消息共用）；没有 details 时整个字段省略
+function toErrorBody(err) {
+  return {
+    code: err.code,
+    message: err.message,
+    details: err.details || undefined,
+  };
+}
+
+// Express 4 不会捕获 async 路由返回的 Promise 里的异常，用它包一层交给 errorHandler
+function asyncHandler(fn) {
+  return (req, res, next) => {
+    Promise.resolve(fn(req, res, next)).catch(next);
+  };
+}
+
+// 中央错误处理：ApiError 按错误码返回；请求体不是合法 JSON 时返回 INVALID_JSON；其余视为内部错误，只记日志不暴露细节
+// Express 按参数个数（4 个）识别错误处理中间件，next 虽然用不到也不能省略
+function errorHandler(err, req, res, next) {
+  let apiError = err;
+  if (!(err instanceof ApiError)) {
+    if (err.type === "entity.parse.failed") {
+      apiError = new ApiError("INVALID_JSON");
+    } else {
+      console.error(`[HTTP] ${req.method} ${req.path} 处理失败:`, err);
+      apiError = new ApiError("INTERNAL_ERROR");
+    }
+  }
+  res.status(apiError.status).json(toErrorBody(apiError));
+}
+
+module.exports = {
+  ERROR_CODES,
+  ApiError,
+  toErrorBody,
+  asyncHandler,
+  errorHandler,
+};
@@ -0,0 +1,64 @@
+const { ApiError } = require("./errors");
+
+// 令牌桶限流：每个 key 一个桶，容量为 limit，每 windowMs 匀速补满
+// 允许短时间内连续用完 limit 次，之后按平均速率放行；now 为当前时间（毫秒）
+function createRateLimiter({ limit, windowMs, now = () => Date.now() }) {
+  const buckets = new Map(); // key -> { tokens, updatedAt }
+  const rate = limit / windowMs; // 每毫秒补充的令牌数
+  let lastPrune = now();
+
+  // 已经补满的桶和新建的没有区别，定期删掉，避免 key 越积越多
+  function prune(t) {
+    for (const [key, bucket] of buckets) {
+      if (bucket.tokens + (t - bucket.updatedAt) * rate >= limit) {
+        buckets.delete(key);
+      }
+    }
+    lastPrune = t;
+  }
+
+  // 消耗 cost 个令牌（默认 1 个），返回 { allowed, retryAfterMs }；不允许时不扣令牌，retryAfterMs 为还需等待的毫秒数
+  // cost 不应超过 limit，否则永远不会被放行
+  function consume(key, cost = 1) {
+    const t = now();
+    if (t - lastPrune >= windowMs) {
+      prune(t);
+    }
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: limit, updatedAt: t };
+      buckets.set(key, bucket);
+    } else {
+      bucket.tokens = Math.min(
+        limit,
+        bucket.tokens + (t - bucket.updatedAt) * rate
+      );
+      bucket.updatedAt = t;
+    }
+    if (bucket.tokens >= cost) {
+      bucket.tokens -= cost;
+      return { allowed: true, retryAfterMs: 0 };
+    }
+    return {
+      allowed: false,
+      retryAfterMs: Math.ceil((cost - bucket.tokens) / rate),
+    };
+  }
+
+  return {
+    consume,
+    reset: (key) => buckets.delete(key),
+  };
+}
+
+// Express 中间件：按 getKey(req) 限流，超出时交给 errorHandler 返回 429 RATE_LIMITED，并带上 Retry-After 头（秒），details 里带 retryAfterMs
+function rateLimit(limiter, getKey) {
+  return (req, res, next) => {
+    const { allowed, retryAfterMs } = limiter.consume(getKey(req));
+    if (allowed) return next();
+    res.set("Retry-After", String(Math.ceil(retryAfterMs / 1000)));
+    next(new ApiError("RATE_LIMITED", { retryAfterMs }));
+  };
+}
+
+module.exports = { createRateLimiter, rateLimit };
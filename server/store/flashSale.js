@@ -0,0 +1,22 @@
+// 秒杀下单前的校验，两种存储共用；auction 为下单时锁定 / 读取到的拍卖记录（不是秒杀时为 null）
+// bought 为该用户已购买的数量；可以购买时返回 null，否则返回拒绝原因
+// 到达开始时间即可购买，不必等状态流转为 running，这样抢购按钮能在开始时间准时解锁
+function checkPurchase(auction, bought, quantity, now) {
+  if (!auction) return "not_found";
+  if (auction.status === "cancelled") return "cancelled";
+  if (auction.status === "ended" || new Date(auction.end_time) <= now) {
+    return "ended";
+  }
+  if (new Date(auction.start_time) > now) return "not_started";
+  if (auction.stock <= 0) return "sold_out";
+  if (auction.stock < quantity) return "insufficient_stock";
+  if (
+    auction.purchase_limit !== null &&
+    bought + quantity > auction.purchase_limit
+  ) {
+    return "limit_exceeded";
+  }
+  return null;
+}
+
+module.exports = { checkPurchase };
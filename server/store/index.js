@@ -0,0 +1,11 @@
+const { createMemoryStore } = require("./memory");
+const { createMysqlStore } = require("./mysql");
+
+// 按配置选择存储实现：STORE=mysql（默认）或 STORE=memory（无需数据库，数据只保存在进程内）
+function createStore(type = process.env.STORE || "mysql") {
+  if (type === "mysql") return createMysqlStore();
+  if (type === "memory") return createMemoryStore();
+  throw new Error(`未知的存储类型：${type}（可选 mysql / memory）`);
+}
+
+module.exports = { createStore };
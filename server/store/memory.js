@@ -0,0 +1,522 @@
+// 内存存储：与 MySQL 存储提供相同的方法和返回结构，数据只保存在进程内，重启即清空
+// 适合在没有 MySQL 的机器上本地体验、跑集成测试；返回的拍卖 / 出价都是副本，调用方修改不会影响存储
+
+const { checkPurchase } = require("./flashSale");
+const { rankSealedBids, settleSealedBids } = require("./sealedBid");
+
+// 金额统一按「分」比较，避免浮点误差
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+function createMemoryStore() {
+  const users = [];
+  const sessions = new Map(); // token -> { userId, expiresAt }
+  const auctions = new Map(); // id -> 完整的拍卖记录
+  const bids = [];
+  const proxyBids = new Map(); // `${auctionId}:${userId}` -> { user_id, max_amount, updated_at }
+  const sealedBids = new Map(); // `${auctionId}:${userId}` -> { auction_id, user_id, amount, updated_at }
+  const purchases = []; // 秒杀订单
+  const events = []; // 审计事件 { auction_id, seq, type, data, secret, created_at }
+  const leases = new Map(); // name -> { owner, expiresAt }
+  let nextUserId = 1;
+  let nextAuctionId = 1;
+  let nextBidId = 1;
+  let nextPurchaseId = 1;
+
+  const acceptedBids = (auctionId) =>
+    bids.filter((b) => b.auction_id === auctionId && b.status === "accepted");
+  // 金额最高的成功出价（金额相同时先出价的优先），没有人出价时为 undefined
+  const highestBid = (auctionId) =>
+    acceptedBids(auctionId).reduce(
+      (best, b) =>
+        !best || toCents(b.amount) > toCents(best.amount) ? b : best,
+      undefined
+    );
+  // 写入一条出价记录，返回副本
+  const insertBid = ({
+    auctionId,
+    userId,
+    amount,
+    status,
+    reason,
+    proxy,
+    at,
+  }) => {
+    const bid = {
+      id: nextBidId++,
+      auction_id: auctionId,
+      user_id: userId,
+      amount,
+      status,
+      reason: reason || null,
+      is_proxy: proxy ? 1 : 0,
+      created_at: at.toISOString(),
+    };
+    bids.push(bid);
+    return { ...bid };
+  };
+  const sealedBidsOf = (auctionId) =>
+    [...sealedBids.values()].filter((b) => b.auction_id === auctionId);
+  const purchasedQuantity = (auctionId, userId) =>
+    purchases
+      .filter((p) => p.auction_id === auctionId && p.user_id === userId)
+      .reduce((sum, p) => sum + p.quantity, 0);
+
+  // 对外返回的拍卖数据：去掉保留价，只暴露是否设置了保留价以及当前价格是否已达到（与 MySQL 一样返回 1 / 0）
+  // 密封出价只暴露份数
+  const toPublicAuction = (auction) => {
+    const { reserve_price: reserve, created_at: _, ...rest } = auction;
+    return {
+      ...rest,
+      increment_rules: auction.increment_rules
+        ? auction.increment_rules.map((rule) => ({ ...rule }))
+        : null,
+      has_reserve: reserve === null ? 0 : 1,
+      reserve_met:
+        reserve === null || toCents(auction.current_price) >= toCents(reserve)
+          ? 1
+          : 0,
+      sealed_bid_count: sealedBidsOf(auction.id).length,
+    };
+  };
+
+  return {
+    async init() {},
+
+    // ---------- 用户与会话 ----------
+
+    async countUsers() {
+      return users.length;
+    },
+
+    // 创建用户，用户名已被占用时返回 null
+    async createUser(username, passwordHash, role = "user") {
+      if (users.some((u) => u.username === username)) return null;
+      const user = {
+        id: nextUserId++,
+        username,
+        password_hash: passwordHash,
+        role,
+      };
+      users.push(user);
+      return { id: user.id, username, role };
+    },
+
+    async findUserByUsername(username) {
+      const user = users.find((u) => u.username === username);
+      return user ? { ...user } : null;
+    },
+
+    async createSession({ token, userId, expiresAt }) {
+      sessions.set(token, { userId, expiresAt });
+    },
+
+    // 根据 token 查出会话对应的用户（{ id, username, role }），token 无效或已过期时返回 null
+    async getSessionUser(token, now) {
+      const session = sessions.get(token);
+      if (!session || session.expiresAt <= now) return null;
+      const user = users.find((u) => u.id === session.userId);
+      return user
+        ? { id: user.id, username: user.username, role: user.role }
+        : null;
+    },
+
+    async deleteSession(token) {
+      sessions.delete(token);
+    },
+
+    // ---------- 拍卖 ----------
+
+    async countAuctions() {
+      return auctions.size;
+    },
+
+    async listAuctions() {
+      return [...auctions.values()]
+        .sort((a, b) => a.id - b.id)
+        .map(toPublicAuction);
+    },
+
+    // 对外返回的拍卖数据（不含保留价），不存在时返回 null
+    async getAuction(id) {
+      const auction = auctions.get(id);
+      return auction ? toPublicAuction(auction) : null;
+    },
+
+    // 完整的拍卖记录（含保留价），只在服务端内部使用
+    async getAuctionRecord(id) {
+      const auction = auctions.get(id);
+      return auction ? { ...auction } : null;
+    },
+
+    async listUnfinishedAuctionIds() {
+      return [...auctions.values()]
+        .filter((a) => a.status === "pending" || a.status === "running")
+        .map((a) => a.id);
+    },
+
+    // 创建拍卖，values 的 key 为列名，未指定 status 时为 pending；返回新拍卖的 id
+    async createAuction(values) {
+      const id = nextAuctionId++;
+      auctions.set(id, {
+        id,
+        name: "",
+        type: "english",
+        start_time: null,
+        end_time: null,
+        current_price: 0,
+        status: "pending",
+        soft_close_seconds: 30,
+        extension_seconds: 30,
+        increment_rules: null,
+        reserve_price: null,
+        outcome: null,
+        winner_user_id: null,
+        final_price: null,
+        settled_at: null,
+        total_stock: null,
+        stock: null,
+        purchase_limit: null,
+        floor_price: null,
+        price_step: null,
+        step_seconds: null,
+        sealed_pricing: null,
+        event_seq: 0,
+        ...values,
+        created_at: new Date(),
+      });
+      return id;
+    },
+
+    // 条件更新：拍卖仍处于 expectedStatus（且 requireNoBids 时仍没有成功出价和密封出价）才会修改，返回是否修改成功
+    async updateAuction(id, values, { expectedStatus, requireNoBids = false }) {
+      const auction = auctions.get(id);
+      if (!auction || auction.status !== expectedStatus) return false;
+      if (
+        requireNoBids &&
+        (acceptedBids(id).length > 0 || sealedBidsOf(id).length > 0)
+      ) {
+        return false;
+      }
+      Object.assign(auction, values);
+      return true;
+    },
+
+    // pending → running，返回是否流转成功
+    async startAuction(id, now) {
+      const auction = auctions.get(id);
+      if (!auction || auction.status !== "pending") return false;
+      if (new Date(auction.start_time) > now) return false;
+      auction.status = "running";
+      return true;
+    },
+
+    // running → ended，同时结算（得标人为金额最高的成功出价的出价人、成交价）；密封出价拍卖按出价排名结算，
+    // current_price 保持为起拍价，成交价只写入 final_price
+    // 返回 { outcome, winner_user_id, final_price, settled_at }，未流转时返回 null
+    async endAuction(id, now) {
+      const auction = auctions.get(id);
+      if (!auction || auction.status !== "running") return null;
+      if (new Date(auction.end_time) > now) return null;
+      if (auction.type === "sealed") {
+        const { outcome, winner, price } = settleSealedBids(
+          auction,
+          rankSealedBids(sealedBidsOf(id))
+        );
+        Object.assign(auction, {
+          status: "ended",
+          outcome,
+          winner_user_id: winner,
+          final_price: price,
+          settled_at: now,
+        });
+        return {
+          outcome,
+          winner_user_id: winner,
+          final_price: price,
+          settled_at: now,
+        };
+      }
+      const leader = highestBid(id);
+      // 秒杀卖出过即为成交，没有单一的得标人
+      const flashSale = auction.type === "flash_sale";
+      const sold = flashSale
+        ? auction.stock < auction.total_stock
+        : leader !== undefined &&
+          (auction.reserve_price === null ||
+            toCents(auction.current_price) >= toCents(auction.reserve_price));
+      auction.status = "ended";
+      auction.outcome = sold ? "sold" : "unsold";
+      auction.winner_user_id = sold && !flashSale ? leader.user_id : null;
+      auction.final_price = sold ? auction.current_price : null;
+      auction.settled_at = now;
+      return {
+        outcome: auction.outcome,
+        winner_user_id: auction.winner_user_id,
+        final_price: auction.final_price,
+        settled_at: auction.settled_at,
+      };
+    },
+
+    // 荷兰式拍卖成交：第一个接受的人以 price 得标，直接结束并写入结算结果，返回是否成交
+    async acceptDutchAuction(id, { userId, price, now }) {
+      const auction = auctions.get(id);
+      if (!auction || auction.type !== "dutch") return false;
+      if (auction.status !== "pending" && auction.status !== "running") {
+        return false;
+      }
+      if (new Date(auction.start_time) > now) return false;
+      if (new Date(auction.end_time) <= now) return false;
+      Object.assign(auction, {
+        status: "ended",
+        current_price: price,
+        outcome: "sold",
+        winner_user_id: userId,
+        final_price: price,
+        settled_at: now,
+      });
+      return true;
+    },
+
+    // 仅 pending / running 可取消，返回是否取消成功
+    async cancelAuction(id) {
+      const auction = auctions.get(id);
+      if (!auction) return false;
+      if (auction.status !== "pending" && auction.status !== "running") {
+        return false;
+      }
+      auction.status = "cancelled";
+      return true;
+    },
+
+    // 成功出价：compare-and-set 价格并写入出价记录（同步完成，两者总是一致）
+    // 只有当前价格仍是 expectedPrice、且拍卖未结束时才生效，返回写入的出价记录，未生效时返回 null
+    async placeBid({ auctionId, userId, expectedPrice, amount, proxy, at }) {
+      const auction = auctions.get(auctionId);
+      if (
+        !auction ||
+        auction.status !== "running" ||
+        new Date(auction.end_time) < at ||
+        toCents(auction.current_price) !== toCents(expectedPrice)
+      ) {
+        return null;
+      }
+      auction.current_price = amount;
+      return insertBid({
+        auctionId,
+        userId,
+        amount,
+        status: "accepted",
+        proxy,
+        at,
+      });
+    },
+
+    // 顺延结束时间：只会延后、不会提前，返回是否顺延成功
+    async extendEndTime(id, endTime) {
+      const auction = auctions.get(id);
+      if (!auction || auction.status !== "running") return false;
+      if (new Date(auction.end_time) >= endTime) return false;
+      auction.end_time = endTime;
+      return true;
+    },
+
+    // ---------- 出价 ----------
+
+    // 记录一次出价，返回插入的记录（accepted 时 reason 为 null）
+    async recordBid(bid) {
+      return insertBid(bid);
+    },
+
+    // 当前领先的出价（金额最高的成功出价，金额相同时先出价的优先），没有人出价时返回 null
+    async getLeadingBid(auctionId) {
+      const top = highestBid(auctionId);
+      return top
+        ? { id: top.id, user_id: top.user_id, amount: top.amount }
+        : null;
+    },
+
+    // 最近的成功出价（按时间倒序）
+    async getRecentBids(auctionId, limit) {
+      return acceptedBids(auctionId)
+        .reverse()
+        .slice(0, limit)
+        .map((b) => ({ ...b }));
+    },
+
+    // sinceId 之后的成功出价（按时间正序）
+    async getBidsSince(auctionId, sinceId, limit) {
+      return acceptedBids(auctionId)
+        .filter((b) => b.id > sinceId)
+        .slice(0, limit)
+        .map((b) => ({ ...b }));
+    },
+
+    // 分页查询出价记录（按时间倒序），status 为空时不过滤；返回 { items, total }
+    async listBids(auctionId, { status, limit, offset }) {
+      const matched = bids
+        .filter(
+          (b) => b.auction_id === auctionId && (!status || b.status === status)
+        )
+        .reverse();
+      return {
+        items: matched.slice(offset, offset + limit).map((b) => ({ ...b })),
+        total: matched.length,
+      };
+    },
+
+    async countAcceptedBids(auctionId) {
+      return acceptedBids(auctionId).length;
+    },
+
+    // 有过成功出价的不同用户数
+    async getBidderCount(auctionId) {
+      return new Set(acceptedBids(auctionId).map((b) => b.user_id)).size;
+    },
+
+    // ---------- 代理出价 ----------
+
+    // 某个用户在某个拍卖上的代理出价上限，没有设置时返回 null
+    async getProxyMax(auctionId, userId) {
+      const proxy = proxyBids.get(`${auctionId}:${userId}`);
+      return proxy ? Number(proxy.max_amount) : null;
+    },
+
+    // 设置（或提高）代理出价上限
+    async saveProxyMax({ auctionId, userId, maxAmount, at }) {
+      proxyBids.set(`${auctionId}:${userId}`, {
+        auction_id: auctionId,
+        user_id: userId,
+        max_amount: maxAmount,
+        updated_at: at,
+      });
+    },
+
+    async listProxyBids(auctionId) {
+      return [...proxyBids.values()]
+        .filter((p) => p.auction_id === auctionId)
+        .map(({ user_id, max_amount, updated_at }) => ({
+          user_id,
+          max_amount,
+          updated_at,
+        }));
+    },
+
+    // ---------- 密封出价 ----------
+
+    // 提交或修改密封出价：只有到达开始时间、尚未结束的密封出价拍卖才会写入，返回是否写入成功
+    async saveSealedBid({ auctionId, userId, amount, at }) {
+      const auction = auctions.get(auctionId);
+      if (!auction || auction.type !== "sealed") return false;
+      if (auction.status !== "pending" && auction.status !== "running") {
+        return false;
+      }
+      if (new Date(auction.start_time) > at) return false;
+      if (new Date(auction.end_time) <= at) return false;
+      sealedBids.set(`${auctionId}:${userId}`, {
+        auction_id: auctionId,
+        user_id: userId,
+        amount,
+        updated_at: at,
+      });
+      return true;
+    },
+
+    // 某个用户在某个拍卖上的密封出价，没有出价时返回 null
+    async getSealedBid(auctionId, userId) {
+      const bid = sealedBids.get(`${auctionId}:${userId}`);
+      return bid ? Number(bid.amount) : null;
+    },
+
+    // 所有密封出价的排名（只在结束后公开）
+    async listSealedBids(auctionId) {
+      return rankSealedBids(sealedBidsOf(auctionId)).map(
+        ({ user_id, amount, updated_at }) => ({ user_id, amount, updated_at })
+      );
+    },
+
+    // ---------- 审计事件 ----------
+
+    // 追加一条事件，seq 为该拍卖的 event_seq 加一；返回写入的事件（不含 secret），拍卖不存在时返回 null
+    async appendEvent({ auctionId, type, data, secret, at }) {
+      const auction = auctions.get(auctionId);
+      if (!auction) return null;
+      auction.event_seq += 1;
+      const event = {
+        auction_id: auctionId,
+        seq: auction.event_seq,
+        type,
+        // 与 MySQL 的 JSON 列一样，存进去的是序列化后的副本（Date 变成字符串）
+        data: JSON.parse(JSON.stringify(data)),
+        secret: secret ? JSON.parse(JSON.stringify(secret)) : null,
+        created_at: at.toISOString(),
+      };
+      events.push(event);
+      const { secret: _, ...rest } = event;
+      return rest;
+    },
+
+    // sinceSeq 之后的事件（按 seq 正序），不传 limit 时返回全部
+    async listEvents(auctionId, { sinceSeq = 0, limit } = {}) {
+      return events
+        .filter((e) => e.auction_id === auctionId && e.seq > sinceSeq)
+        .slice(0, limit)
+        .map(({ secret: _, ...rest }) => JSON.parse(JSON.stringify(rest)));
+    },
+
+    // ---------- 秒杀 ----------
+
+    // 秒杀下单：校验与扣减库存之间没有 await，单进程内天然是原子的
+    // 成功返回 { purchase, stock, purchased }，失败返回 { reason, stock }
+    async purchase({ auctionId, userId, quantity, now }) {
+      const found = auctions.get(auctionId);
+      const auction = found && found.type === "flash_sale" ? found : null;
+      const bought = purchasedQuantity(auctionId, userId);
+      const reason = checkPurchase(auction, bought, quantity, now);
+      if (reason) {
+        return { reason, stock: auction ? auction.stock : null };
+      }
+      auction.stock -= quantity;
+      const purchase = {
+        id: nextPurchaseId++,
+        auction_id: auctionId,
+        user_id: userId,
+        quantity,
+        price: auction.current_price,
+        created_at: now.toISOString(),
+      };
+      purchases.push(purchase);
+      return {
+        purchase: { ...purchase },
+        stock: auction.stock,
+        purchased: bought + quantity,
+      };
+    },
+
+    // 某个用户在某个秒杀上累计购买的数量
+    async getPurchasedQuantity(auctionId, userId) {
+      return purchasedQuantity(auctionId, userId);
+    },
+
+    // ---------- 租约 ----------
+
+    // 获取或续约租约：租约空闲、已过期或本来就属于 owner 时占有并顺延到 expiresAt，返回是否占有成功
+    async acquireLease(name, owner, expiresAt, now) {
+      const lease = leases.get(name);
+      if (lease && lease.owner !== owner && lease.expiresAt >= now) {
+        return false;
+      }
+      leases.set(name, { owner, expiresAt });
+      return true;
+    },
+
+    // 主动释放租约（只释放自己持有的）
+    async releaseLease(name, owner) {
+      const lease = leases.get(name);
+      if (lease && lease.owner === owner) {
+        leases.delete(name);
+      }
+    },
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,878 @@
+const mysql = require("mysql2/promise");
+const { checkPurchase } = require("./flashSale");
+const { rankSealedBids, settleSealedBids } = require("./sealedBid");
+
+// 对外返回的拍卖字段
+// 保留价 reserve_price 不对外公开，只暴露是否设置了保留价（has_reserve）以及当前价格是否已达到（reserve_met）
+// 密封出价拍卖只暴露出价份数（sealed_bid_count），不暴露金额
+const AUCTION_FIELDS =
+  "id, name, type, start_time, end_time, current_price, status, soft_close_seconds, extension_seconds, increment_rules, outcome, winner_user_id, final_price, settled_at, total_stock, stock, purchase_limit, floor_price, price_step, step_seconds, sealed_pricing, event_seq, (SELECT COUNT(*) FROM sealed_bids WHERE sealed_bids.auction_id = auctions.id) AS sealed_bid_count, reserve_price IS NOT NULL AS has_reserve, (reserve_price IS NULL OR current_price >= reserve_price) AS reserve_met";
+// 拍卖类型的枚举定义，新增类型时同时补在这里（ensureSchema 会据此迁移老表）
+const AUCTION_TYPE_ENUM = "ENUM('english', 'flash_sale', 'dutch', 'sealed')";
+// 对外返回的出价字段
+const BID_FIELDS =
+  "id, auction_id, user_id, amount, status, reason, is_proxy, created_at";
+// 对外返回的事件字段（secret 只落库，不对外返回）
+const EVENT_FIELDS = "auction_id, seq, type, data, created_at";
+
+async function createDbPool() {
+  const pool = mysql.createPool({
+    host: "127.0.0.1",
+    port: 3306,
+    user: "root",
+    password: "your_password",
+    database: "auction_demo",
+    waitForConnections: true,
+    connectionLimit: 10,
+    queueLimit: 0,
+  });
+  return pool;
+}
+
+async function ensureSchema(pool) {
+  // 确保表存在（如果完全按 README 已经建好，可以不执行这里，但为了 demo 自包含，这里做一次保障）
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS auctions (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      name VARCHAR(255) NOT NULL,
+      type ${AUCTION_TYPE_ENUM} NOT NULL DEFAULT 'english',
+      start_time DATETIME NOT NULL,
+      end_time DATETIME NOT NULL,
+      current_price DECIMAL(10,2) NOT NULL DEFAULT 0,
+      status ENUM('pending', 'running', 'ended', 'cancelled') NOT NULL DEFAULT 'pending',
+      soft_close_seconds INT NOT NULL DEFAULT 30,
+      extension_seconds INT NOT NULL DEFAULT 30,
+      increment_rules JSON NULL,
+      reserve_price DECIMAL(10,2) NULL,
+      outcome ENUM('sold', 'unsold') NULL,
+      winner_user_id VARCHAR(64) NULL,
+      final_price DECIMAL(10,2) NULL,
+      settled_at DATETIME NULL,
+      total_stock INT NULL,
+      stock INT NULL,
+      purchase_limit INT NULL,
+      floor_price DECIMAL(10,2) NULL,
+      price_step DECIMAL(10,2) NULL,
+      step_seconds INT NULL,
+      sealed_pricing ENUM('first', 'second') NULL,
+      event_seq INT NOT NULL DEFAULT 0,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  // 防狙击（soft close）配置：结束前 soft_close_seconds 秒内有人出价，则结束时间顺延 extension_seconds 秒
+  // 老版本建的表没有这两列，这里补上；soft_close_seconds 设为 0 即关闭该功能
+  await ensureColumn(
+    pool,
+    "auctions",
+    "soft_close_seconds",
+    "INT NOT NULL DEFAULT 30"
+  );
+  await ensureColumn(
+    pool,
+    "auctions",
+    "extension_seconds",
+    "INT NOT NULL DEFAULT 30"
+  );
+
+  // 加价规则（按价格区间分档）、保留价（不公开）、结束后的成交结果
+  await ensureColumn(pool, "auctions", "increment_rules", "JSON NULL");
+  await ensureColumn(pool, "auctions", "reserve_price", "DECIMAL(10,2) NULL");
+  await ensureColumn(
+    pool,
+    "auctions",
+    "outcome",
+    "ENUM('sold', 'unsold') NULL"
+  );
+
+  // 结算结果：得标人（用户名，与 bids.user_id 一致）、成交价、结算时间；流拍时得标人和成交价为空
+  await ensureColumn(pool, "auctions", "winner_user_id", "VARCHAR(64) NULL");
+  await ensureColumn(pool, "auctions", "final_price", "DECIMAL(10,2) NULL");
+  await ensureColumn(pool, "auctions", "settled_at", "DATETIME NULL");
+
+  // 拍卖类型：english 为普通竞价，flash_sale 为秒杀（固定价格 current_price、限量库存、每人限购），
+  // dutch 为荷兰式拍卖（从 current_price 起按 step_seconds 秒降 price_step，降到 floor_price 为止），
+  // sealed 为密封出价拍卖（sealed_pricing：first 一价 / second Vickrey 二价，current_price 为起拍价）
+  await ensureColumn(
+    pool,
+    "auctions",
+    "type",
+    `${AUCTION_TYPE_ENUM} NOT NULL DEFAULT 'english'`
+  );
+  await ensureColumn(pool, "auctions", "total_stock", "INT NULL");
+  await ensureColumn(pool, "auctions", "stock", "INT NULL");
+  await ensureColumn(pool, "auctions", "purchase_limit", "INT NULL");
+  await ensureColumn(pool, "auctions", "floor_price", "DECIMAL(10,2) NULL");
+  await ensureColumn(pool, "auctions", "price_step", "DECIMAL(10,2) NULL");
+  await ensureColumn(pool, "auctions", "step_seconds", "INT NULL");
+  await ensureColumn(
+    pool,
+    "auctions",
+    "sealed_pricing",
+    "ENUM('first', 'second') NULL"
+  );
+
+  // 审计事件序号：该拍卖最后一条事件的 seq，写事件时在同一个事务里加一
+  await ensureColumn(pool, "auctions", "event_seq", "INT NOT NULL DEFAULT 0");
+
+  // 老版本的 type 枚举缺少后来新增的类型，这里补上
+  const [typeColumn] = await pool.query(
+    "SELECT COLUMN_TYPE AS type FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'auctions' AND COLUMN_NAME = 'type'"
+  );
+  if (
+    typeColumn[0].type.replace(/\s/g, "") !==
+    AUCTION_TYPE_ENUM.replace(/\s/g, "").toLowerCase()
+  ) {
+    await pool.query(
+      `ALTER TABLE auctions MODIFY COLUMN type ${AUCTION_TYPE_ENUM} NOT NULL DEFAULT 'english'`
+    );
+    console.log("已为表 auctions 的 type 补充新的拍卖类型。");
+  }
+
+  // 老版本的 status 枚举没有 cancelled（管理端取消拍卖），这里补上
+  const [statusColumn] = await pool.query(
+    "SELECT COLUMN_TYPE AS type FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'auctions' AND COLUMN_NAME = 'status'"
+  );
+  if (!statusColumn[0].type.includes("'cancelled'")) {
+    await pool.query(
+      "ALTER TABLE auctions MODIFY COLUMN status ENUM('pending', 'running', 'ended', 'cancelled') NOT NULL DEFAULT 'pending'"
+    );
+    console.log("已为表 auctions 的 status 补充 cancelled 状态。");
+  }
+
+  // 出价记录：每一次出价（无论成功与否）都会落库，方便回溯谁在什么时候出了多少
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS bids (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      auction_id INT NOT NULL,
+      user_id VARCHAR(64) NOT NULL,
+      amount DECIMAL(10,2) NOT NULL,
+      status ENUM('accepted', 'rejected') NOT NULL,
+      reason VARCHAR(32) NULL,
+      is_proxy TINYINT(1) NOT NULL DEFAULT 0,
+      created_at DATETIME(3) NOT NULL,
+      INDEX idx_bids_auction (auction_id, id)
+    );
+  `);
+  // is_proxy：是否为代理（自动）出价由服务端代为提交的出价
+  await ensureColumn(pool, "bids", "is_proxy", "TINYINT(1) NOT NULL DEFAULT 0");
+
+  // 代理出价：每个用户在每个拍卖上的最高出价上限（不公开），被超越时服务端按最低加价幅度代为出价
+  // updated_at 为设置上限的时间，上限相同时先设置的人优先
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS proxy_bids (
+      auction_id INT NOT NULL,
+      user_id VARCHAR(64) NOT NULL,
+      max_amount DECIMAL(10,2) NOT NULL,
+      updated_at DATETIME(3) NOT NULL,
+      PRIMARY KEY (auction_id, user_id)
+    );
+  `);
+
+  // 密封出价：每个用户在每个拍卖上只有一份出价，结束前可以修改，金额在结束前不对外公开
+  // updated_at 为最后一次提交的时间，出价相同时先提交的人排名靠前
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS sealed_bids (
+      auction_id INT NOT NULL,
+      user_id VARCHAR(64) NOT NULL,
+      amount DECIMAL(10,2) NOT NULL,
+      updated_at DATETIME(3) NOT NULL,
+      PRIMARY KEY (auction_id, user_id)
+    );
+  `);
+
+  // 审计事件：出价（成功 / 被拒绝）、状态流转、顺延、管理端修改等每次状态变化记一条，用于事后追溯纠纷
+  // seq 在同一拍卖内从 1 开始连续递增；data 对外公开，secret 为不公开的字段（保留价、代理上限、密封出价金额），只供直接查库追溯
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS auction_events (
+      auction_id INT NOT NULL,
+      seq INT NOT NULL,
+      type VARCHAR(32) NOT NULL,
+      data JSON NOT NULL,
+      secret JSON NULL,
+      created_at DATETIME(3) NOT NULL,
+      PRIMARY KEY (auction_id, seq)
+    );
+  `);
+
+  // 秒杀订单：每次抢购成功写入一条，用来校验每人限购
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS purchases (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      auction_id INT NOT NULL,
+      user_id VARCHAR(64) NOT NULL,
+      quantity INT NOT NULL,
+      price DECIMAL(10,2) NOT NULL,
+      created_at DATETIME(3) NOT NULL,
+      INDEX idx_purchases_user (auction_id, user_id)
+    );
+  `);
+
+  // 用户与登录会话：出价人由服务端根据会话确定，不再信任请求体里的 userId
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      username VARCHAR(64) NOT NULL UNIQUE,
+      password_hash VARCHAR(255) NOT NULL,
+      role VARCHAR(16) NOT NULL DEFAULT 'user',
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  // 角色：user 普通用户 / admin 管理员（可以创建、修改、取消拍卖）
+  await ensureColumn(
+    pool,
+    "users",
+    "role",
+    "VARCHAR(16) NOT NULL DEFAULT 'user'"
+  );
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      token CHAR(64) PRIMARY KEY,
+      user_id INT NOT NULL,
+      expires_at DATETIME NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_sessions_user (user_id)
+    );
+  `);
+
+  // 租约：多实例部署时用来选出唯一执行拍卖状态流转的实例（leader），租约过期前需要续约
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS leases (
+      name VARCHAR(64) PRIMARY KEY,
+      owner VARCHAR(64) NOT NULL,
+      expires_at DATETIME(3) NOT NULL
+    );
+  `);
+}
+
+// 表已存在但缺少某列时补上该列（CREATE TABLE IF NOT EXISTS 不会修改已有表）
+async function ensureColumn(pool, table, column, definition) {
+  const [rows] = await pool.query(
+    "SELECT COUNT(*) AS cnt FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?",
+    [table, column]
+  );
+  if (rows[0].cnt === 0) {
+    await pool.query(
+      `ALTER TABLE \`${table}\` ADD COLUMN \`${column}\` ${definition}`
+    );
+    console.log(`已为表 ${table} 补充字段 ${column}。`);
+  }
+}
+
+// 写入一条出价记录，返回插入的记录（accepted 时 reason 为 null）；db 为连接池或事务中的连接
+async function insertBid(
+  db,
+  { auctionId, userId, amount, status, reason, proxy, at }
+) {
+  const [result] = await db.query(
+    "INSERT INTO bids (auction_id, user_id, amount, status, reason, is_proxy, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)",
+    [auctionId, userId, amount, status, reason || null, proxy ? 1 : 0, at]
+  );
+  return {
+    id: result.insertId,
+    auction_id: auctionId,
+    user_id: userId,
+    amount,
+    status,
+    reason: reason || null,
+    is_proxy: proxy ? 1 : 0,
+    created_at: at.toISOString(),
+  };
+}
+
+// 密封出价拍卖到期结算：在事务里锁住拍卖行，按排名算出得标人和成交价（见 ./sealedBid.js）后结束拍卖
+// current_price 保持为起拍价（详情页据此展示），成交价只写入 final_price
+// 提交出价的 INSERT ... SELECT 同样要读这一行，两者互斥，结算时不会漏掉临近结束提交的出价
+async function endSealedAuction(pool, id, now) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [[auction]] = await conn.query(
+      "SELECT * FROM auctions WHERE id = ? AND status = 'running' AND end_time <= ? FOR UPDATE",
+      [id, formatDateTime(now)]
+    );
+    if (!auction) {
+      await conn.rollback();
+      return null;
+    }
+    const [bids] = await conn.query(
+      "SELECT user_id, amount, updated_at FROM sealed_bids WHERE auction_id = ?",
+      [id]
+    );
+    const { outcome, winner, price } = settleSealedBids(
+      auction,
+      rankSealedBids(bids)
+    );
+    await conn.query(
+      "UPDATE auctions SET status = 'ended', outcome = ?, winner_user_id = ?, final_price = ?, settled_at = ? WHERE id = ?",
+      [outcome, winner, price, formatDateTime(now), id]
+    );
+    await conn.commit();
+    return {
+      outcome,
+      winner_user_id: winner,
+      final_price: price,
+      settled_at: now,
+    };
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+function formatDateTime(d) {
+  const pad = (n) => (n < 10 ? "0" + n : n);
+  return (
+    d.getFullYear() +
+    "-" +
+    pad(d.getMonth() + 1) +
+    "-" +
+    pad(d.getDate()) +
+    " " +
+    pad(d.getHours()) +
+    ":" +
+    pad(d.getMinutes()) +
+    ":" +
+    pad(d.getSeconds())
+  );
+}
+
+// 写库前的值转换：Date 转成 DATETIME 字符串，数组（加价规则）转成 JSON 字符串
+// JSON 列需要以字符串写入，直接传数组会被 mysql2 展开成多个参数
+function toDbValue(value) {
+  if (value instanceof Date) return formatDateTime(value);
+  if (Array.isArray(value)) return JSON.stringify(value);
+  return value;
+}
+
+// MySQL 存储：原有的全部 SQL 都集中在这里，index.js 只通过下面这些方法读写数据
+function createMysqlStore() {
+  let pool = null;
+
+  return {
+    async init() {
+      pool = await createDbPool();
+      await ensureSchema(pool);
+    },
+
+    // ---------- 用户与会话 ----------
+
+    async countUsers() {
+      const [rows] = await pool.query("SELECT COUNT(*) AS cnt FROM users");
+      return rows[0].cnt;
+    },
+
+    // 创建用户（role 默认为 user），用户名已被占用时返回 null
+    async createUser(username, passwordHash, role = "user") {
+      try {
+        const [result] = await pool.query(
+          "INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)",
+          [username, passwordHash, role]
+        );
+        return { id: result.insertId, username, role };
+      } catch (err) {
+        if (err.code === "ER_DUP_ENTRY") return null;
+        throw err;
+      }
+    },
+
+    async findUserByUsername(username) {
+      const [rows] = await pool.query(
+        "SELECT id, username, password_hash, role FROM users WHERE username = ? LIMIT 1",
+        [username]
+      );
+      return rows[0] || null;
+    },
+
+    async createSession({ token, userId, expiresAt }) {
+      await pool.query(
+        "INSERT INTO sessions (token, user_id, expires_at) VALUES (?, ?, ?)",
+        [token, userId, formatDateTime(expiresAt)]
+      );
+    },
+
+    // 根据 token 查出会话对应的用户（{ id, username, role }），token 无效或已过期时返回 null
+    async getSessionUser(token, now) {
+      const [rows] = await pool.query(
+        "SELECT u.id, u.username, u.role FROM sessions s JOIN users u ON u.id = s.user_id WHERE s.token = ? AND s.expires_at > ? LIMIT 1",
+        [token, formatDateTime(now)]
+      );
+      return rows[0] || null;
+    },
+
+    async deleteSession(token) {
+      await pool.query("DELETE FROM sessions WHERE token = ?", [token]);
+    },
+
+    // ---------- 拍卖 ----------
+
+    async countAuctions() {
+      const [rows] = await pool.query("SELECT COUNT(*) AS cnt FROM auctions");
+      return rows[0].cnt;
+    },
+
+    async listAuctions() {
+      const [rows] = await pool.query(
+        `SELECT ${AUCTION_FIELDS} FROM auctions ORDER BY id ASC`
+      );
+      return rows;
+    },
+
+    // 对外返回的拍卖数据（不含保留价），不存在时返回 null
+    async getAuction(id) {
+      const [rows] = await pool.query(
+        `SELECT ${AUCTION_FIELDS} FROM auctions WHERE id = ? LIMIT 1`,
+        [id]
+      );
+      return rows[0] || null;
+    },
+
+    // 完整的拍卖记录（含保留价），只在服务端内部使用
+    async getAuctionRecord(id) {
+      const [rows] = await pool.query(
+        "SELECT * FROM auctions WHERE id = ? LIMIT 1",
+        [id]
+      );
+      return rows[0] || null;
+    },
+
+    async listUnfinishedAuctionIds() {
+      const [rows] = await pool.query(
+        "SELECT id FROM auctions WHERE status IN ('pending', 'running')"
+      );
+      return rows.map((row) => row.id);
+    },
+
+    // 创建拍卖，values 的 key 为列名，未指定 status 时为 pending；返回新拍卖的 id
+    async createAuction(values) {
+      const row = { status: "pending", ...values };
+      const columns = Object.keys(row);
+      const [result] = await pool.query(
+        `INSERT INTO auctions (${columns.join(", ")}) VALUES (${columns
+          .map(() => "?")
+          .join(", ")})`,
+        columns.map((c) => toDbValue(row[c]))
+      );
+      return result.insertId;
+    },
+
+    // 条件更新：拍卖仍处于 expectedStatus（且 requireNoBids 时仍没有成功出价和密封出价）才会修改，返回是否修改成功
+    async updateAuction(id, values, { expectedStatus, requireNoBids = false }) {
+      const columns = Object.keys(values);
+      const conditions = ["id = ?", "status = ?"];
+      const conditionParams = [id, expectedStatus];
+      if (requireNoBids) {
+        conditions.push(
+          "NOT EXISTS (SELECT 1 FROM bids WHERE auction_id = ? AND status = 'accepted')",
+          "NOT EXISTS (SELECT 1 FROM sealed_bids WHERE auction_id = ?)"
+        );
+        conditionParams.push(id, id);
+      }
+      const [result] = await pool.query(
+        `UPDATE auctions SET ${columns
+          .map((c) => `${c} = ?`)
+          .join(", ")} WHERE ${conditions.join(" AND ")}`,
+        [...columns.map((c) => toDbValue(values[c])), ...conditionParams]
+      );
+      return result.affectedRows > 0;
+    },
+
+    // pending → running（条件更新，避免与其他流转并发时重复开始），返回是否流转成功
+    async startAuction(id, now) {
+      const [result] = await pool.query(
+        "UPDATE auctions SET status = 'running' WHERE id = ? AND status = 'pending' AND start_time <= ?",
+        [id, formatDateTime(now)]
+      );
+      return result.affectedRows > 0;
+    },
+
+    // running → ended，同时结算：有成功出价且达到保留价为 sold，得标人为金额最高的成功出价的出价人（金额相同时先出价的优先），成交价为当前价格；否则流拍 unsold
+    // 秒杀卖出过（库存少于总库存）即为 sold，成交价为秒杀价，没有单一的得标人
+    // 条件更新：若期间有出价触发了结束时间顺延，这里不会误判为已结束；价格和出价记录在同一个事务里写入（见 placeBid），两者总是一致
+    // 只有流转成功的那一次会写入结算结果，重复调用不会改变结果。返回 { outcome, winner_user_id, final_price, settled_at }，未流转时返回 null
+    // 密封出价拍卖按出价排名结算，见 endSealedAuction
+    async endAuction(id, now) {
+      const [[row]] = await pool.query(
+        "SELECT type FROM auctions WHERE id = ? LIMIT 1",
+        [id]
+      );
+      if (row && row.type === "sealed") {
+        return endSealedAuction(pool, id, now);
+      }
+      // MySQL 按书写顺序执行 SET，后面的赋值读到的是新的 outcome
+      const [result] = await pool.query(
+        `UPDATE auctions SET status = 'ended',
+           outcome = IF(
+             IF(
+               type = 'flash_sale',
+               stock < total_stock,
+               EXISTS (SELECT 1 FROM bids WHERE bids.auction_id = auctions.id AND bids.status = 'accepted')
+                 AND (reserve_price IS NULL OR current_price >= reserve_price)
+             ),
+             'sold', 'unsold'
+           ),
+           winner_user_id = IF(
+             outcome = 'sold' AND type = 'english',
+             (SELECT user_id FROM bids WHERE bids.auction_id = auctions.id AND bids.status = 'accepted' ORDER BY bids.amount DESC, bids.id ASC LIMIT 1),
+             NULL
+           ),
+           final_price = IF(outcome = 'sold', current_price, NULL),
+           settled_at = ?
+         WHERE id = ? AND status = 'running' AND end_time <= ?`,
+        [formatDateTime(now), id, formatDateTime(now)]
+      );
+      if (result.affectedRows === 0) return null;
+      const [[settlement]] = await pool.query(
+        "SELECT outcome, winner_user_id, final_price, settled_at FROM auctions WHERE id = ? LIMIT 1",
+        [id]
+      );
+      return settlement;
+    },
+
+    // 荷兰式拍卖成交：第一个接受的人以 price 得标，直接结束并写入结算结果
+    // 条件更新：只有到达开始时间、尚未结束（没人抢先接受）的荷兰式拍卖才会成交，返回是否成交
+    async acceptDutchAuction(id, { userId, price, now }) {
+      const [result] = await pool.query(
+        `UPDATE auctions SET status = 'ended', current_price = ?, outcome = 'sold',
+           winner_user_id = ?, final_price = ?, settled_at = ?
+         WHERE id = ? AND type = 'dutch' AND status IN ('pending', 'running')
+           AND start_time <= ? AND end_time > ?`,
+        [
+          price,
+          userId,
+          price,
+          formatDateTime(now),
+          id,
+          formatDateTime(now),
+          formatDateTime(now),
+        ]
+      );
+      return result.affectedRows > 0;
+    },
+
+    // 仅 pending / running 可取消，返回是否取消成功
+    async cancelAuction(id) {
+      const [result] = await pool.query(
+        "UPDATE auctions SET status = 'cancelled' WHERE id = ? AND status IN ('pending', 'running')",
+        [id]
+      );
+      return result.affectedRows > 0;
+    },
+
+    // 成功出价：条件更新（compare-and-set）价格并写入出价记录，两者在同一个事务里完成
+    // 只有当前价格仍是 expectedPrice、且拍卖未结束时才生效，返回写入的出价记录，未生效时返回 null
+    // 更新会锁住拍卖行直到提交，结算的条件更新要等它提交后才执行，不会看到价格已变、出价记录还没落库的中间状态
+    async placeBid({ auctionId, userId, expectedPrice, amount, proxy, at }) {
+      const conn = await pool.getConnection();
+      try {
+        await conn.beginTransaction();
+        const [result] = await conn.query(
+          "UPDATE auctions SET current_price = ? WHERE id = ? AND current_price = ? AND status = 'running' AND end_time >= ?",
+          [amount, auctionId, expectedPrice, formatDateTime(at)]
+        );
+        if (result.affectedRows === 0) {
+          await conn.rollback();
+          return null;
+        }
+        const bid = await insertBid(conn, {
+          auctionId,
+          userId,
+          amount,
+          status: "accepted",
+          proxy,
+          at,
+        });
+        await conn.commit();
+        return bid;
+      } catch (err) {
+        await conn.rollback();
+        throw err;
+      } finally {
+        conn.release();
+      }
+    },
+
+    // 顺延结束时间：只会延后、不会提前（并发出价时以更晚的结束时间为准），返回是否顺延成功
+    async extendEndTime(id, endTime) {
+      const [result] = await pool.query(
+        "UPDATE auctions SET end_time = ? WHERE id = ? AND status = 'running' AND end_time < ?",
+        [formatDateTime(endTime), id, formatDateTime(endTime)]
+      );
+      return result.affectedRows > 0;
+    },
+
+    // ---------- 出价 ----------
+
+    // 记录一次出价，返回插入的记录（accepted 时 reason 为 null）
+    async recordBid(bid) {
+      return insertBid(pool, bid);
+    },
+
+    // 当前领先的出价（金额最高的成功出价，金额相同时先出价的优先，与结算一致），没有人出价时返回 null
+    async getLeadingBid(auctionId) {
+      const [rows] = await pool.query(
+        "SELECT id, user_id, amount FROM bids WHERE auction_id = ? AND status = 'accepted' ORDER BY amount DESC, id ASC LIMIT 1",
+        [auctionId]
+      );
+      return rows[0] || null;
+    },
+
+    // 最近的成功出价（按时间倒序）
+    async getRecentBids(auctionId, limit) {
+      const [rows] = await pool.query(
+        `SELECT ${BID_FIELDS} FROM bids WHERE auction_id = ? AND status = 'accepted' ORDER BY id DESC LIMIT ?`,
+        [auctionId, limit]
+      );
+      return rows;
+    },
+
+    // sinceId 之后的成功出价（按时间正序）；bids.id 自增，可以直接当作出价的序号使用
+    async getBidsSince(auctionId, sinceId, limit) {
+      const [rows] = await pool.query(
+        `SELECT ${BID_FIELDS} FROM bids WHERE auction_id = ? AND status = 'accepted' AND id > ? ORDER BY id ASC LIMIT ?`,
+        [auctionId, sinceId, limit]
+      );
+      return rows;
+    },
+
+    // 分页查询出价记录（按时间倒序），status 为空时不过滤；返回 { items, total }
+    async listBids(auctionId, { status, limit, offset }) {
+      const where = status
+        ? "WHERE auction_id = ? AND status = ?"
+        : "WHERE auction_id = ?";
+      const params = status ? [auctionId, status] : [auctionId];
+      const [[{ total }]] = await pool.query(
+        `SELECT COUNT(*) AS total FROM bids ${where}`,
+        params
+      );
+      const [rows] = await pool.query(
+        `SELECT ${BID_FIELDS} FROM bids ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      return { items: rows, total };
+    },
+
+    async countAcceptedBids(auctionId) {
+      const [[{ bidCount }]] = await pool.query(
+        "SELECT COUNT(*) AS bidCount FROM bids WHERE auction_id = ? AND status = 'accepted'",
+        [auctionId]
+      );
+      return bidCount;
+    },
+
+    // 有过成功出价的不同用户数
+    async getBidderCount(auctionId) {
+      const [rows] = await pool.query(
+        "SELECT COUNT(DISTINCT user_id) AS bidders FROM bids WHERE auction_id = ? AND status = 'accepted'",
+        [auctionId]
+      );
+      return Number(rows[0].bidders);
+    },
+
+    // ---------- 代理出价 ----------
+
+    // 某个用户在某个拍卖上的代理出价上限，没有设置时返回 null
+    async getProxyMax(auctionId, userId) {
+      const [rows] = await pool.query(
+        "SELECT max_amount FROM proxy_bids WHERE auction_id = ? AND user_id = ? LIMIT 1",
+        [auctionId, userId]
+      );
+      return rows.length > 0 ? Number(rows[0].max_amount) : null;
+    },
+
+    // 设置（或提高）代理出价上限
+    async saveProxyMax({ auctionId, userId, maxAmount, at }) {
+      await pool.query(
+        "INSERT INTO proxy_bids (auction_id, user_id, max_amount, updated_at) VALUES (?, ?, ?, ?) ON DUPLICATE KEY UPDATE max_amount = VALUES(max_amount), updated_at = VALUES(updated_at)",
+        [auctionId, userId, maxAmount, at]
+      );
+    },
+
+    async listProxyBids(auctionId) {
+      const [rows] = await pool.query(
+        "SELECT user_id, max_amount, updated_at FROM proxy_bids WHERE auction_id = ?",
+        [auctionId]
+      );
+      return rows;
+    },
+
+    // ---------- 密封出价 ----------
+
+    // 提交或修改密封出价：只有到达开始时间、尚未结束的密封出价拍卖才会写入，返回是否写入成功
+    async saveSealedBid({ auctionId, userId, amount, at }) {
+      const [result] = await pool.query(
+        `INSERT INTO sealed_bids (auction_id, user_id, amount, updated_at)
+         SELECT id, ?, ?, ? FROM auctions
+         WHERE id = ? AND type = 'sealed' AND status IN ('pending', 'running')
+           AND start_time <= ? AND end_time > ?
+         ON DUPLICATE KEY UPDATE amount = VALUES(amount), updated_at = VALUES(updated_at)`,
+        [userId, amount, at, auctionId, formatDateTime(at), formatDateTime(at)]
+      );
+      return result.affectedRows > 0;
+    },
+
+    // 某个用户在某个拍卖上的密封出价，没有出价时返回 null
+    async getSealedBid(auctionId, userId) {
+      const [rows] = await pool.query(
+        "SELECT amount FROM sealed_bids WHERE auction_id = ? AND user_id = ? LIMIT 1",
+        [auctionId, userId]
+      );
+      return rows[0] ? Number(rows[0].amount) : null;
+    },
+
+    // 所有密封出价的排名（只在结束后公开）
+    async listSealedBids(auctionId) {
+      const [rows] = await pool.query(
+        "SELECT user_id, amount, updated_at FROM sealed_bids WHERE auction_id = ?",
+        [auctionId]
+      );
+      return rankSealedBids(rows);
+    },
+
+    // ---------- 审计事件 ----------
+
+    // 追加一条事件：在事务里把拍卖的 event_seq 加一作为本条的 seq，行锁保证同一拍卖的 seq 连续、不重复
+    // 返回写入的事件（不含 secret），拍卖不存在时返回 null
+    async appendEvent({ auctionId, type, data, secret, at }) {
+      const conn = await pool.getConnection();
+      try {
+        await conn.beginTransaction();
+        // LAST_INSERT_ID(expr) 让更新后的值通过 insertId 返回，不用再查一次
+        const [result] = await conn.query(
+          "UPDATE auctions SET event_seq = LAST_INSERT_ID(event_seq + 1) WHERE id = ?",
+          [auctionId]
+        );
+        if (result.affectedRows === 0) {
+          await conn.rollback();
+          return null;
+        }
+        const seq = result.insertId;
+        await conn.query(
+          "INSERT INTO auction_events (auction_id, seq, type, data, secret, created_at) VALUES (?, ?, ?, ?, ?, ?)",
+          [
+            auctionId,
+            seq,
+            type,
+            JSON.stringify(data),
+            secret ? JSON.stringify(secret) : null,
+            at,
+          ]
+        );
+        await conn.commit();
+        return {
+          auction_id: auctionId,
+          seq,
+          type,
+          data,
+          created_at: at.toISOString(),
+        };
+      } catch (err) {
+        await conn.rollback();
+        throw err;
+      } finally {
+        conn.release();
+      }
+    },
+
+    // sinceSeq 之后的事件（按 seq 正序），不传 limit 时返回全部
+    async listEvents(auctionId, { sinceSeq = 0, limit } = {}) {
+      const [rows] = await pool.query(
+        `SELECT ${EVENT_FIELDS} FROM auction_events WHERE auction_id = ? AND seq > ? ORDER BY seq ASC${
+          limit === undefined ? "" : " LIMIT ?"
+        }`,
+        limit === undefined
+          ? [auctionId, sinceSeq]
+          : [auctionId, sinceSeq, limit]
+      );
+      return rows;
+    },
+
+    // ---------- 秒杀 ----------
+
+    // 秒杀下单：在事务里锁住拍卖行，校验时间、库存和每人限购后扣减库存并写入订单，并发抢购时不会超卖
+    // 到达开始时间即可购买（不必等状态流转为 running）。成功返回 { purchase, stock, purchased }（purchased 为该用户累计购买数量），
+    // 失败返回 { reason, stock }：not_found / cancelled / not_started / ended / sold_out / insufficient_stock / limit_exceeded
+    async purchase({ auctionId, userId, quantity, now }) {
+      const conn = await pool.getConnection();
+      try {
+        await conn.beginTransaction();
+        const [[auction]] = await conn.query(
+          "SELECT status, start_time, end_time, current_price, stock, purchase_limit FROM auctions WHERE id = ? AND type = 'flash_sale' FOR UPDATE",
+          [auctionId]
+        );
+        const [[{ bought }]] = await conn.query(
+          "SELECT COALESCE(SUM(quantity), 0) AS bought FROM purchases WHERE auction_id = ? AND user_id = ?",
+          [auctionId, userId]
+        );
+        const reason = checkPurchase(auction, Number(bought), quantity, now);
+        if (reason) {
+          await conn.rollback();
+          return { reason, stock: auction ? auction.stock : null };
+        }
+        await conn.query("UPDATE auctions SET stock = stock - ? WHERE id = ?", [
+          quantity,
+          auctionId,
+        ]);
+        const [result] = await conn.query(
+          "INSERT INTO purchases (auction_id, user_id, quantity, price, created_at) VALUES (?, ?, ?, ?, ?)",
+          [auctionId, userId, quantity, auction.current_price, now]
+        );
+        await conn.commit();
+        return {
+          purchase: {
+            id: result.insertId,
+            auction_id: auctionId,
+            user_id: userId,
+            quantity,
+            price: auction.current_price,
+            created_at: now.toISOString(),
+          },
+          stock: auction.stock - quantity,
+          purchased: Number(bought) + quantity,
+        };
+      } catch (err) {
+        await conn.rollback();
+        throw err;
+      } finally {
+        conn.release();
+      }
+    },
+
+    // 某个用户在某个秒杀上累计购买的数量
+    async getPurchasedQuantity(auctionId, userId) {
+      const [rows] = await pool.query(
+        "SELECT COALESCE(SUM(quantity), 0) AS bought FROM purchases WHERE auction_id = ? AND user_id = ?",
+        [auctionId, userId]
+      );
+      return Number(rows[0].bought);
+    },
+
+    // ---------- 租约 ----------
+
+    // 获取或续约租约：租约空闲、已过期或本来就属于 owner 时占有并顺延到 expiresAt，返回是否占有成功
+    // ON DUPLICATE KEY UPDATE 按顺序赋值，第二个 IF 里的 owner 已经是更新后的值
+    async acquireLease(name, owner, expiresAt, now) {
+      await pool.query(
+        "INSERT INTO leases (name, owner, expires_at) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE owner = IF(owner = VALUES(owner) OR expires_at < ?, VALUES(owner), owner), expires_at = IF(owner = VALUES(owner), VALUES(expires_at), expires_at)",
+        [name, owner, expiresAt, now]
+      );
+      const [rows] = await pool.query(
+        "SELECT owner FROM leases WHERE name = ? LIMIT 1",
+        [name]
+      );
+      return rows.length > 0 && rows[0].owner === owner;
+    },
+
+    // 主动释放租约（只释放自己持有的）
+    async releaseLease(name, owner) {
+      await pool.query("DELETE FROM leases WHERE name = ? AND owner = ?", [
+        name,
+        owner,
+      ]);
+    },
+  };
+}
+
+module.exports = { createMysqlStore };
@@ -0,0 +1,36 @@
+// 密封出价拍卖的排名与结算，两种存储共用
+
+// 金额统一按「分」比较，避免浮点误差
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+// 排名：出价高者在前，出价相同时最后一次提交更早的在前（修改出价会失去同价先到的优势）
+function rankSealedBids(bids) {
+  return [...bids].sort(
+    (a, b) =>
+      toCents(b.amount) - toCents(a.amount) ||
+      new Date(a.updated_at) - new Date(b.updated_at)
+  );
+}
+
+// 结算：排名第一的出价人得标；first（一价）按自己的出价成交，second（Vickrey 二价）按次高出价成交，
+// 二价成交价不低于起拍价（current_price）和保留价。没有出价或最高出价未达到保留价时流拍
+// 返回 { outcome, winner, price }，流拍时 winner / price 为 null
+function settleSealedBids(auction, rankedBids) {
+  const [top, second] = rankedBids;
+  const reserve =
+    auction.reserve_price === null ? null : toCents(auction.reserve_price);
+  if (!top || (reserve !== null && toCents(top.amount) < reserve)) {
+    return { outcome: "unsold", winner: null, price: null };
+  }
+  let cents = toCents(top.amount);
+  if (auction.sealed_pricing === "second") {
+    cents = Math.max(
+      second ? toCents(second.amount) : 0,
+      toCents(auction.current_price),
+      reserve || 0
+    );
+  }
+  return { outcome: "sold", winner: top.user_id, price: cents / 100 };
+}
+
+module.exports = { rankSealedBids, settleSealedBids };
@@ -0,0 +1,473 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+
+const iso = (ms) => new Date(ms).toISOString();
+
+test("创建、查询和列出拍卖", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const now = srv.clock.now();
+
+  const running = await srv.createAuction({ name: "进行中" });
+  assert.equal(running.status, "running");
+  assert.equal(running.type, "english");
+  assert.equal(Number(running.current_price), 100);
+
+  const pending = await srv.createAuction({
+    name: "未开始",
+    startTime: iso(now + 10000),
+    endTime: iso(now + 60000),
+  });
+  assert.equal(pending.status, "pending");
+
+  const list = await srv.request("GET", "/api/auctions");
+  assert.equal(list.status, 200);
+  assert.deepEqual(
+    list.body.map((a) => a.id).sort(),
+    [running.id, pending.id].sort()
+  );
+
+  const detail = await srv.request("GET", `/api/auctions/${running.id}`);
+  assert.equal(detail.status, 200);
+  assert.equal(detail.body.auction.name, "进行中");
+  assert.equal(detail.body.serverTime, iso(now));
+  // 保留价不对外公开
+  assert.equal(detail.body.auction.reserve_price, undefined);
+});
+
+test("查询拍卖：无效 ID 和不存在", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+
+  const invalid = await srv.request("GET", "/api/auctions/abc");
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.code, "INVALID_AUCTION_ID");
+
+  const missing = await srv.request("GET", "/api/auctions/999");
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.code, "AUCTION_NOT_FOUND");
+});
+
+test("创建拍卖的参数校验", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const now = srv.clock.now();
+  const base = {
+    name: "测试",
+    startTime: iso(now),
+    endTime: iso(now + 60000),
+    startingPrice: 100,
+  };
+  const dutch = {
+    type: "dutch",
+    floorPrice: 50,
+    priceStep: 10,
+    stepSeconds: 10,
+  };
+  const cases = [
+    [{ ...base, name: " " }, "拍卖名称不能为空"],
+    [{ ...base, type: "unknown" }, /无效的拍卖类型/],
+    [{ ...base, endTime: "not a time" }, "无效的时间：endTime"],
+    [{ ...base, startingPrice: -1 }, "起拍价不能为负数"],
+    [{ ...base, endTime: iso(now - 1000) }, "开始时间必须早于结束时间"],
+    [
+      { ...base, startTime: iso(now - 60000), endTime: iso(now - 1000) },
+      "结束时间必须晚于当前时间",
+    ],
+    [{ ...base, stock: 10 }, "只有秒杀可以设置库存和限购"],
+    [{ ...base, type: "flash_sale" }, "秒杀必须设置库存 stock"],
+    [{ ...base, incrementRules: [{ from: 10, increment: 1 }] }, /第一档/],
+    // 只对部分类型生效的字段
+    [
+      { ...base, type: "flash_sale", stock: 10, reservePrice: 50 },
+      "只有普通竞价和密封出价拍卖可以设置保留价",
+    ],
+    [
+      { ...base, ...dutch, reservePrice: 80 },
+      "只有普通竞价和密封出价拍卖可以设置保留价",
+    ],
+    [
+      { ...base, ...dutch, incrementRules: [{ from: 0, increment: 1 }] },
+      "只有普通竞价可以设置加价规则",
+    ],
+    [
+      { ...base, type: "sealed", softCloseSeconds: 30 },
+      "只有普通竞价可以设置防狙击顺延",
+    ],
+  ];
+  for (const [body, message] of cases) {
+    const res = await srv.admin("POST", "/api/auctions", { body });
+    assert.equal(res.status, 400, JSON.stringify(body));
+    assert.equal(res.body.code, "INVALID_AUCTION");
+    if (message instanceof RegExp) {
+      assert.match(res.body.message, message);
+    } else {
+      assert.equal(res.body.message, message);
+    }
+  }
+  assert.equal((await srv.request("GET", "/api/auctions")).body.length, 0);
+
+  // 修改时同样校验；传 null 清空不受限制
+  const flash = await srv.createAuction({
+    type: "flash_sale",
+    stock: 10,
+    startTime: iso(now + 10000),
+  });
+  const patch = (body) =>
+    srv.admin("PATCH", `/api/auctions/${flash.id}`, { body });
+  const reserve = await patch({ reservePrice: 50 });
+  assert.equal(
+    reserve.body.message,
+    "只有普通竞价和密封出价拍卖可以设置保留价"
+  );
+  assert.equal((await patch({ reservePrice: null })).status, 200);
+});
+
+test("修改拍卖并广播 auctionUpdated", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const now = srv.clock.now();
+  const auction = await srv.createAuction({
+    startTime: iso(now + 10000),
+    endTime: iso(now + 60000),
+  });
+  const viewer = await srv.connect();
+  viewer.send({ type: "joinAuction", payload: { auctionId: auction.id } });
+  await viewer.waitFor("auctionData");
+
+  const res = await srv.admin("PATCH", `/api/auctions/${auction.id}`, {
+    body: { name: "改名", startingPrice: 50, endTime: iso(now + 120000) },
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.auction.name, "改名");
+  assert.equal(Number(res.body.auction.current_price), 50);
+
+  const update = await viewer.waitFor("auctionUpdated");
+  assert.equal(update.auctionId, auction.id);
+  assert.equal(update.auction.name, "改名");
+  assert.equal(update.auction.end_time, iso(now + 120000));
+  assert.ok(update.seq > 0);
+});
+
+test("修改拍卖的错误路径", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const auction = await srv.createAuction();
+
+  const invalidId = await srv.admin("PATCH", "/api/auctions/0", {
+    body: { name: "x" },
+  });
+  assert.equal(invalidId.body.code, "INVALID_AUCTION_ID");
+
+  const missing = await srv.admin("PATCH", "/api/auctions/999", {
+    body: { name: "x" },
+  });
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.code, "AUCTION_NOT_FOUND");
+
+  const empty = await srv.admin("PATCH", `/api/auctions/${auction.id}`, {
+    body: {},
+  });
+  assert.equal(empty.body.code, "INVALID_AUCTION");
+  assert.equal(empty.body.message, "没有需要修改的字段");
+
+  const typeChange = await srv.admin("PATCH", `/api/auctions/${auction.id}`, {
+    body: { type: "dutch" },
+  });
+  assert.equal(typeChange.body.code, "INVALID_AUCTION");
+
+  // 已开始的拍卖不能改开始时间
+  const started = await srv.admin("PATCH", `/api/auctions/${auction.id}`, {
+    body: { startTime: iso(srv.clock.now() + 1000) },
+  });
+  assert.equal(started.status, 400);
+  assert.equal(started.body.code, "AUCTION_LOCKED");
+  assert.deepEqual(started.body.details, { status: "running" });
+
+  // 有人出价后不能改起拍价
+  const { token } = await srv.register("alice");
+  await srv.request("POST", `/api/auctions/${auction.id}/bid`, {
+    token,
+    body: { amount: 101 },
+  });
+  const price = await srv.admin("PATCH", `/api/auctions/${auction.id}`, {
+    body: { startingPrice: 10 },
+  });
+  assert.equal(price.body.code, "AUCTION_LOCKED");
+  assert.deepEqual(price.body.details, { bidCount: 1 });
+
+  // 已结束的拍卖不能修改
+  await srv.clock.advance(60000);
+  const ended = await srv.admin("PATCH", `/api/auctions/${auction.id}`, {
+    body: { name: "x" },
+  });
+  assert.equal(ended.body.code, "AUCTION_LOCKED");
+  assert.deepEqual(ended.body.details, { status: "ended" });
+});
+
+test("取消拍卖并广播 auctionCancelled", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const auction = await srv.createAuction();
+  const viewer = await srv.connect();
+  viewer.send({ type: "joinAuction", payload: { auctionId: auction.id } });
+  await viewer.waitFor("auctionData");
+
+  const res = await srv.admin("POST", `/api/auctions/${auction.id}/cancel`, {
+    body: { reason: "商品下架" },
+  });
+  assert.equal(res.status, 200);
+  const cancelled = await viewer.waitFor("auctionCancelled");
+  assert.equal(cancelled.reason, "商品下架");
+
+  const detail = await srv.request("GET", `/api/auctions/${auction.id}`);
+  assert.equal(detail.body.auction.status, "cancelled");
+
+  const again = await srv.admin("POST", `/api/auctions/${auction.id}/cancel`);
+  assert.equal(again.body.code, "AUCTION_LOCKED");
+
+  const missing = await srv.admin("POST", "/api/auctions/999/cancel");
+  assert.equal(missing.body.code, "AUCTION_NOT_FOUND");
+  const invalid = await srv.admin("POST", "/api/auctions/x/cancel");
+  assert.equal(invalid.body.code, "INVALID_AUCTION_ID");
+
+  // 取消的拍卖没有结算结果，到期后也不会结算
+  await srv.clock.advance(60000);
+  const result = await srv.request("GET", `/api/auctions/${auction.id}/result`);
+  assert.equal(result.status, 409);
+  assert.equal(result.body.code, "AUCTION_NOT_SETTLED");
+  assert.equal(result.body.message, "拍卖已取消");
+});
+
+test("管理端接口需要管理员登录", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const auction = await srv.createAuction();
+  const { token, user } = await srv.register("alice");
+  assert.equal(user.role, "user");
+
+  const now = srv.clock.now();
+  const routes = [
+    [
+      "POST",
+      "/api/auctions",
+      {
+        name: "测试拍卖",
+        startTime: iso(now),
+        endTime: iso(now + 60000),
+        startingPrice: 100,
+      },
+    ],
+    ["PATCH", `/api/auctions/${auction.id}`, { name: "改名" }],
+    ["POST", `/api/auctions/${auction.id}/cancel`, {}],
+  ];
+  for (const [method, path, body] of routes) {
+    const anonymous = await srv.request(method, path, { body });
+    assert.equal(anonymous.status, 401, path);
+    assert.equal(anonymous.body.code, "UNAUTHORIZED");
+    const forbidden = await srv.request(method, path, { token, body });
+    assert.equal(forbidden.status, 403, path);
+    assert.equal(forbidden.body.code, "FORBIDDEN");
+  }
+
+  // 被拒绝的请求没有生效
+  const detail = await srv.request("GET", `/api/auctions/${auction.id}`);
+  assert.equal(detail.body.auction.name, "测试拍卖");
+  assert.equal(detail.body.auction.status, "running");
+  const list = await srv.request("GET", "/api/auctions");
+  assert.equal(list.body.length, 1);
+
+  const me = await srv.request("GET", "/api/auth/me", {
+    token: srv.adminToken,
+  });
+  assert.equal(me.body.user.role, "admin");
+});
+
+test("出价记录分页和状态筛选", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const auction = await srv.createAuction();
+  const { token } = await srv.register("alice");
+  for (const amount of [101, 102, 50]) {
+    await srv.request("POST", `/api/auctions/${auction.id}/bid`, {
+      token,
+      body: { amount },
+    });
+  }
+
+  const all = await srv.request(
+    "GET",
+    `/api/auctions/${auction.id}/bids?page=1&pageSize=2`
+  );
+  assert.equal(all.status, 200);
+  assert.equal(all.body.total, 3);
+  assert.equal(all.body.items.length, 2);
+  assert.equal(all.body.pageSize, 2);
+
+  const accepted = await srv.request(
+    "GET",
+    `/api/auctions/${auction.id}/bids?status=accepted`
+  );
+  assert.equal(accepted.body.total, 2);
+  const rejected = await srv.request(
+    "GET",
+    `/api/auctions/${auction.id}/bids?status=rejected`
+  );
+  assert.equal(rejected.body.total, 1);
+  assert.equal(rejected.body.items[0].reason, "too_low");
+
+  const badStatus = await srv.request(
+    "GET",
+    `/api/auctions/${auction.id}/bids?status=foo`
+  );
+  assert.equal(badStatus.body.code, "INVALID_PARAMS");
+  const missing = await srv.request("GET", "/api/auctions/999/bids");
+  assert.equal(missing.body.code, "AUCTION_NOT_FOUND");
+  const invalid = await srv.request("GET", "/api/auctions/x/bids");
+  assert.equal(invalid.body.code, "INVALID_AUCTION_ID");
+});
+
+test("结算结果：成交、流拍、保留价未达到", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const sold = await srv.createAuction();
+  const unsold = await srv.createAuction();
+  const reserve = await srv.createAuction({ reservePrice: 500 });
+  const { token } = await srv.register("alice");
+  await srv.request("POST", `/api/auctions/${sold.id}/bid`, {
+    token,
+    body: { amount: 120 },
+  });
+  await srv.request("POST", `/api/auctions/${reserve.id}/bid`, {
+    token,
+    body: { amount: 120 },
+  });
+
+  const early = await srv.request("GET", `/api/auctions/${sold.id}/result`);
+  assert.equal(early.status, 409);
+  assert.equal(early.body.code, "AUCTION_NOT_SETTLED");
+  assert.deepEqual(early.body.details, { status: "running" });
+
+  await srv.clock.advance(60000);
+  const end = iso(srv.clock.now());
+
+  const soldResult = await srv.request(
+    "GET",
+    `/api/auctions/${sold.id}/result`
+  );
+  assert.deepEqual(soldResult.body, {
+    auctionId: sold.id,
+    outcome: "sold",
+    winner: "alice",
+    finalPrice: 120,
+    settledAt: end,
+  });
+  const unsoldResult = await srv.request(
+    "GET",
+    `/api/auctions/${unsold.id}/result`
+  );
+  assert.equal(unsoldResult.body.outcome, "unsold");
+  assert.equal(unsoldResult.body.winner, null);
+  const reserveResult = await srv.request(
+    "GET",
+    `/api/auctions/${reserve.id}/result`
+  );
+  assert.equal(reserveResult.body.outcome, "unsold");
+  assert.equal(reserveResult.body.finalPrice, null);
+
+  const missing = await srv.request("GET", "/api/auctions/999/result");
+  assert.equal(missing.body.code, "AUCTION_NOT_FOUND");
+  const invalid = await srv.request("GET", "/api/auctions/x/result");
+  assert.equal(invalid.body.code, "INVALID_AUCTION_ID");
+});
+
+test("审计事件分页和导出", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const auction = await srv.createAuction({ reservePrice: 150 });
+  const { token } = await srv.register("alice");
+  await srv.request("POST", `/api/auctions/${auction.id}/bid`, {
+    token,
+    body: { amount: 101 },
+  });
+
+  const events = await srv.request("GET", `/api/auctions/${auction.id}/events`);
+  assert.equal(events.status, 200);
+  assert.deepEqual(
+    events.body.items.map((e) => e.type),
+    ["created", "started", "bid_accepted"]
+  );
+  assert.equal(events.body.lastSeq, 3);
+  // 保留价只落库，不通过接口返回
+  assert.equal(events.body.items[0].data.reserve_price, undefined);
+  assert.equal(events.body.items[0].secret, undefined);
+
+  const page = await srv.request(
+    "GET",
+    `/api/auctions/${auction.id}/events?since=1&limit=1`
+  );
+  assert.deepEqual(
+    page.body.items.map((e) => e.seq),
+    [2]
+  );
+
+  const json = await srv.request(
+    "GET",
+    `/api/auctions/${auction.id}/events/export`
+  );
+  assert.equal(json.status, 200);
+  assert.match(
+    json.headers.get("content-disposition"),
+    /auction-\d+-events\.json/
+  );
+  assert.equal(json.body.events.length, 3);
+  assert.equal(json.body.auction.id, auction.id);
+
+  const csv = await srv.request(
+    "GET",
+    `/api/auctions/${auction.id}/events/export?format=csv`
+  );
+  assert.match(csv.headers.get("content-type"), /text\/csv/);
+  const lines = csv.body.replace(/^﻿/, "").split("\r\n");
+  assert.equal(lines[0], "seq,created_at,type,user_id,amount,data");
+  assert.equal(lines.length, 4);
+  assert.match(lines[3], /^3,.*,bid_accepted,alice,101,/);
+
+  const badFormat = await srv.request(
+    "GET",
+    `/api/auctions/${auction.id}/events/export?format=xml`
+  );
+  assert.equal(badFormat.body.code, "INVALID_PARAMS");
+  const missing = await srv.request("GET", "/api/auctions/999/events");
+  assert.equal(missing.body.code, "AUCTION_NOT_FOUND");
+  const missingExport = await srv.request(
+    "GET",
+    "/api/auctions/999/events/export"
+  );
+  assert.equal(missingExport.body.code, "AUCTION_NOT_FOUND");
+  const invalid = await srv.request("GET", "/api/auctions/x/events");
+  assert.equal(invalid.body.code, "INVALID_AUCTION_ID");
+});
+
+test("到点自动开始和结束", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const now = srv.clock.now();
+  const auction = await srv.createAuction({
+    startTime: iso(now + 10000),
+    endTime: iso(now + 20000),
+  });
+  const viewer = await srv.connect();
+  viewer.send({ type: "joinAuction", payload: { auctionId: auction.id } });
+  await viewer.waitFor("auctionData");
+
+  await srv.clock.advance(10000);
+  const started = await viewer.waitFor("auctionStarted");
+  assert.equal(started.auction.status, "running");
+
+  await srv.clock.advance(10000);
+  const ended = await viewer.waitFor("auctionEnded");
+  assert.equal(ended.outcome, "unsold");
+  assert.equal(ended.seq, started.seq + 1);
+});
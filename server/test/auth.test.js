@@ -0,0 +1,149 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+const { seedDemoData } = require("../app");
+const { createMemoryStore } = require("../store/memory");
+
+test("注册、登录、查询当前用户和退出登录", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+
+  const { token, user } = await srv.register("alice");
+  assert.ok(token);
+  assert.equal(user.username, "alice");
+
+  const me = await srv.request("GET", "/api/auth/me", { token });
+  assert.equal(me.status, 200);
+  assert.equal(me.body.user.username, "alice");
+
+  const login = await srv.request("POST", "/api/auth/login", {
+    body: { username: "alice", password: "123456" },
+  });
+  assert.equal(login.status, 200);
+  assert.notEqual(login.body.token, token);
+
+  const logout = await srv.request("POST", "/api/auth/logout", { token });
+  assert.equal(logout.status, 200);
+  const after = await srv.request("GET", "/api/auth/me", { token });
+  assert.equal(after.status, 401);
+  assert.equal(after.body.code, "UNAUTHORIZED");
+  // 其他会话不受影响
+  const other = await srv.request("GET", "/api/auth/me", {
+    token: login.body.token,
+  });
+  assert.equal(other.status, 200);
+});
+
+test("注册参数错误和用户名重复", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+
+  const badName = await srv.request("POST", "/api/auth/register", {
+    body: { username: "a", password: "123456" },
+  });
+  assert.equal(badName.status, 400);
+  assert.equal(badName.body.code, "INVALID_USERNAME");
+
+  const badPassword = await srv.request("POST", "/api/auth/register", {
+    body: { username: "alice", password: "123" },
+  });
+  assert.equal(badPassword.status, 400);
+  assert.equal(badPassword.body.code, "INVALID_PASSWORD");
+
+  await srv.register("alice");
+  const taken = await srv.request("POST", "/api/auth/register", {
+    body: { username: "alice", password: "654321" },
+  });
+  assert.equal(taken.status, 409);
+  assert.equal(taken.body.code, "USERNAME_TAKEN");
+});
+
+test("登录失败和未登录访问", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  await srv.register("alice");
+
+  const missing = await srv.request("POST", "/api/auth/login", {
+    body: { username: "alice" },
+  });
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.code, "INVALID_PARAMS");
+
+  const wrong = await srv.request("POST", "/api/auth/login", {
+    body: { username: "alice", password: "wrong-password" },
+  });
+  assert.equal(wrong.status, 401);
+  assert.equal(wrong.body.code, "INVALID_CREDENTIALS");
+
+  const unknown = await srv.request("POST", "/api/auth/login", {
+    body: { username: "nobody", password: "123456" },
+  });
+  assert.equal(unknown.body.code, "INVALID_CREDENTIALS");
+
+  const me = await srv.request("GET", "/api/auth/me");
+  assert.equal(me.status, 401);
+  assert.equal(me.body.code, "UNAUTHORIZED");
+
+  const logout = await srv.request("POST", "/api/auth/logout", {
+    token: "invalid",
+  });
+  assert.equal(logout.status, 401);
+});
+
+test("会话过期后需要重新登录", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const { token } = await srv.register("alice");
+
+  await srv.clock.advance(7 * 24 * 60 * 60 * 1000 + 1);
+  const me = await srv.request("GET", "/api/auth/me", { token });
+  assert.equal(me.status, 401);
+  assert.equal(me.body.code, "UNAUTHORIZED");
+});
+
+test("演示数据：只有配置了管理员密码才创建管理员账号", async () => {
+  const store = createMemoryStore();
+  await store.init();
+
+  await seedDemoData(store);
+  assert.equal((await store.findUserByUsername("alice")).role, "user");
+  assert.ok(!(await store.findUserByUsername("admin")));
+
+  // 已有用户的库同样可以补建管理员，再次启动不会重复创建
+  await seedDemoData(store, { adminPassword: "s3cret-pass" });
+  const admin = await store.findUserByUsername("admin");
+  assert.equal(admin.role, "admin");
+  await seedDemoData(store, { adminPassword: "another-pass" });
+  assert.equal(
+    (await store.findUserByUsername("admin")).password_hash,
+    admin.password_hash
+  );
+  assert.equal(await store.countUsers(), 3);
+});
+
+test("通用错误：非法 JSON、未知接口、时间同步", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+
+  const badJson = await srv.request("POST", "/api/auth/login", {
+    raw: "{not json",
+  });
+  assert.equal(badJson.status, 400);
+  assert.equal(badJson.body.code, "INVALID_JSON");
+
+  const notFound = await srv.request("GET", "/api/nope");
+  assert.equal(notFound.status, 404);
+  assert.equal(notFound.body.code, "NOT_FOUND");
+
+  const sync = await srv.request("POST", "/api/time-sync", {
+    body: { clientTime: 123 },
+  });
+  assert.equal(sync.status, 200);
+  assert.equal(sync.body.clientTime, 123);
+  assert.equal(sync.body.sendTime, srv.clock.now());
+  assert.equal(sync.body.receiveTime, srv.clock.now());
+
+  const badSync = await srv.request("POST", "/api/time-sync", { body: {} });
+  assert.equal(badSync.status, 400);
+  assert.equal(badSync.body.code, "INVALID_PARAMS");
+});
@@ -0,0 +1,386 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+const { createMemoryStore } = require("../store/memory");
+
+const iso = (ms) => new Date(ms).toISOString();
+const bid = (srv, id, token, body) =>
+  srv.request("POST", `/api/auctions/${id}/bid`, { token, body });
+
+test("出价成功：更新价格并广播 bidUpdate", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const auction = await srv.createAuction();
+  const { token } = await srv.register("alice");
+  const viewer = await srv.connect();
+  viewer.send({ type: "joinAuction", payload: { auctionId: auction.id } });
+  await viewer.waitFor("auctionData");
+
+  const res = await bid(srv, auction.id, token, {
+    amount: 110,
+    userId: "mallory",
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.message, "出价成功");
+  assert.equal(res.body.data.newPrice, 110);
+  // 出价人取自登录会话，请求体里的 userId 被忽略
+  assert.equal(res.body.data.userId, "alice");
+  assert.equal(res.body.data.bid.user_id, "alice");
+
+  const update = await viewer.waitFor("bidUpdate");
+  assert.equal(update.newPrice, 110);
+  assert.equal(update.userId, "alice");
+  assert.equal(update.reserveMet, true);
+  assert.equal(update.seq, res.body.data.seq);
+
+  const detail = await srv.request("GET", `/api/auctions/${auction.id}`);
+  assert.equal(Number(detail.body.auction.current_price), 110);
+});
+
+test("出价参数和状态错误", async (t) => {
+  // 本用例连续发出多次请求，放宽限流
+  const srv = await startServer({ limits: { bidPerUser: 100 } });
+  t.after(() => srv.close());
+  const now = srv.clock.now();
+  const auction = await srv.createAuction();
+  const pending = await srv.createAuction({
+    startTime: iso(now + 10000),
+    endTime: iso(now + 60000),
+  });
+  const { token } = await srv.register("alice");
+
+  const anonymous = await bid(srv, auction.id, null, { amount: 110 });
+  assert.equal(anonymous.status, 401);
+  assert.equal(anonymous.body.code, "UNAUTHORIZED");
+
+  for (const body of [{}, { amount: "110" }, { amount: -1 }, { amount: 0 }]) {
+    const res = await bid(srv, auction.id, token, body);
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "INVALID_AMOUNT");
+  }
+  for (const id of ["x", 0]) {
+    const res = await bid(srv, id, token, { amount: 110 });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "INVALID_AUCTION_ID");
+  }
+
+  const missing = await bid(srv, 999, token, { amount: 110 });
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.code, "AUCTION_NOT_FOUND");
+
+  const tooLow = await bid(srv, auction.id, token, { amount: 100.5 });
+  assert.equal(tooLow.status, 400);
+  assert.equal(tooLow.body.code, "BID_TOO_LOW");
+  assert.deepEqual(tooLow.body.details, {
+    currentPrice: 100,
+    minNextBid: 101,
+  });
+
+  const notStarted = await bid(srv, pending.id, token, { amount: 110 });
+  assert.equal(notStarted.body.code, "AUCTION_NOT_STARTED");
+
+  await srv.admin("POST", `/api/auctions/${pending.id}/cancel`);
+  const cancelled = await bid(srv, pending.id, token, { amount: 110 });
+  assert.equal(cancelled.body.code, "AUCTION_CANCELLED");
+
+  await srv.clock.advance(60000);
+  const ended = await bid(srv, auction.id, token, { amount: 110 });
+  assert.equal(ended.body.code, "AUCTION_ENDED");
+
+  // 被拒绝的出价同样落库
+  const rejected = await srv.request(
+    "GET",
+    `/api/auctions/${auction.id}/bids?status=rejected`
+  );
+  assert.deepEqual(rejected.body.items.map((b) => b.reason).sort(), [
+    "ended",
+    "too_low",
+  ]);
+});
+
+test("到达开始时间但定时流转还没执行时，出价会先开始拍卖", async (t) => {
+  const store = createMemoryStore();
+  // 拿不到租约，不是 leader：模拟 leader 的开始定时器还没执行
+  const srv = await startServer({
+    store: { ...store, acquireLease: async () => false },
+  });
+  t.after(() => srv.close());
+  const auction = await srv.createAuction({
+    startTime: iso(srv.clock.now() + 1000),
+  });
+  const { token } = await srv.register("alice");
+  const viewer = await srv.connect();
+  viewer.send({ type: "joinAuction", payload: { auctionId: auction.id } });
+  await viewer.waitFor("auctionData");
+
+  const early = await bid(srv, auction.id, token, { amount: 110 });
+  assert.equal(early.body.code, "AUCTION_NOT_STARTED");
+
+  await srv.clock.advance(2000);
+  assert.equal((await store.getAuction(auction.id)).status, "pending");
+  const res = await bid(srv, auction.id, token, { amount: 110 });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data.newPrice, 110);
+
+  const started = await viewer.waitFor("auctionStarted");
+  assert.equal(started.auction.status, "running");
+  await viewer.waitFor("bidUpdate");
+  assert.equal((await store.getAuction(auction.id)).status, "running");
+});
+
+test("按加价规则校验最低出价", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const auction = await srv.createAuction({
+    incrementRules: [
+      { from: 0, increment: 1 },
+      { from: 100, increment: 5 },
+    ],
+  });
+  const { token } = await srv.register("alice");
+
+  const tooLow = await bid(srv, auction.id, token, { amount: 104 });
+  assert.equal(tooLow.body.code, "BID_TOO_LOW");
+  assert.equal(tooLow.body.details.minNextBid, 105);
+  const ok = await bid(srv, auction.id, token, { amount: 105 });
+  assert.equal(ok.status, 200);
+});
+
+test("结束前出价顺延结束时间（防狙击）", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const auction = await srv.createAuction({
+    softCloseSeconds: 30,
+    extensionSeconds: 60,
+  });
+  const { token } = await srv.register("alice");
+  const viewer = await srv.connect();
+  viewer.send({ type: "joinAuction", payload: { auctionId: auction.id } });
+  await viewer.waitFor("auctionData");
+
+  await srv.clock.advance(50000);
+  await bid(srv, auction.id, token, { amount: 110 });
+  const extended = await viewer.waitFor("auctionExtended");
+  const newEnd = srv.clock.now() + 60000;
+  assert.equal(extended.endTime, iso(newEnd));
+
+  // 原来的结束时间已过，拍卖仍在进行
+  await srv.clock.advance(20000);
+  const detail = await srv.request("GET", `/api/auctions/${auction.id}`);
+  assert.equal(detail.body.auction.status, "running");
+
+  await srv.clock.advance(newEnd - srv.clock.now());
+  const ended = await viewer.waitFor("auctionEnded");
+  assert.equal(ended.winner, "alice");
+  assert.equal(ended.finalPrice, 110);
+});
+
+test("非竞价类型的拍卖不能出价", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const flash = await srv.createAuction({ type: "flash_sale", stock: 5 });
+  const dutch = await srv.createAuction({
+    type: "dutch",
+    floorPrice: 50,
+    priceStep: 10,
+    stepSeconds: 10,
+  });
+  const { token } = await srv.register("alice");
+
+  for (const auction of [flash, dutch]) {
+    const res = await bid(srv, auction.id, token, { amount: 200 });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "WRONG_AUCTION_TYPE");
+    assert.deepEqual(res.body.details, { type: auction.type });
+  }
+});
+
+test("代理出价：按次高上限加一口自动应价", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const auction = await srv.createAuction();
+  const alice = await srv.register("alice");
+  const bob = await srv.register("bob");
+
+  const first = await bid(srv, auction.id, alice.token, { maxAmount: 150 });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.leading, true);
+  assert.equal(first.body.currentPrice, 101);
+
+  // bob 手动出价后，alice 的代理出价自动应价
+  await bid(srv, auction.id, bob.token, { amount: 120 });
+  let detail = await srv.request("GET", `/api/auctions/${auction.id}`);
+  assert.equal(Number(detail.body.auction.current_price), 121);
+
+  // bob 设置更高的上限，出到 alice 的上限加一口
+  const second = await bid(srv, auction.id, bob.token, { maxAmount: 200 });
+  assert.equal(second.body.leading, true);
+  assert.equal(second.body.currentPrice, 151);
+
+  const proxy = await srv.request("GET", `/api/auctions/${auction.id}/proxy`, {
+    token: bob.token,
+  });
+  assert.deepEqual(proxy.body, { maxAmount: 200 });
+  const none = await srv.request("GET", `/api/auctions/${auction.id}/proxy`, {
+    token: (await srv.register("carol")).token,
+  });
+  assert.deepEqual(none.body, { maxAmount: null });
+
+  // 领先者只能提高上限
+  const lower = await bid(srv, auction.id, bob.token, { maxAmount: 180 });
+  assert.equal(lower.body.code, "PROXY_MAX_TOO_LOW");
+  assert.equal(lower.body.details.maxAmount, 200);
+  const tooLow = await bid(srv, auction.id, alice.token, { maxAmount: 140 });
+  assert.equal(tooLow.body.code, "PROXY_MAX_TOO_LOW");
+  assert.equal(tooLow.body.details.minNextBid, 152);
+
+  await srv.clock.advance(60000);
+  detail = await srv.request("GET", `/api/auctions/${auction.id}/result`);
+  assert.equal(detail.body.winner, "bob");
+  assert.equal(detail.body.finalPrice, 151);
+});
+
+test("查询代理出价的错误路径", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const { token } = await srv.register("alice");
+
+  const anonymous = await srv.request("GET", "/api/auctions/1/proxy");
+  assert.equal(anonymous.body.code, "UNAUTHORIZED");
+  const invalid = await srv.request("GET", "/api/auctions/x/proxy", { token });
+  assert.equal(invalid.body.code, "INVALID_AUCTION_ID");
+});
+
+// 前 count 次读取拍卖时先互相等待，全部读到之后再一起放行：
+// 并发出价都基于同一个价格通过校验，再在条件更新上真正竞争
+function holdAuctionReads(store, count) {
+  const read = store.getAuctionRecord;
+  const waiting = [];
+  store.getAuctionRecord = async (id) => {
+    const record = await read(id);
+    if (waiting.length + 1 < count) {
+      await new Promise((resolve) => waiting.push(resolve));
+    } else {
+      store.getAuctionRecord = read;
+      waiting.forEach((resolve) => resolve());
+    }
+    return record;
+  };
+}
+
+// 不同用户同时按 amounts 出价（每人一个），等所有响应和广播都到齐后返回 { results, updates, auction }
+async function bidConcurrently(srv, amounts) {
+  const auction = await srv.createAuction();
+  const users = [];
+  for (let i = 0; i < amounts.length; i += 1) {
+    users.push(await srv.register(`user${i}`));
+  }
+  const viewer = await srv.connect();
+  viewer.send({ type: "joinAuction", payload: { auctionId: auction.id } });
+  await viewer.waitFor("auctionData");
+
+  holdAuctionReads(srv.store, amounts.length);
+  const results = await Promise.all(
+    amounts.map((amount, i) => bid(srv, auction.id, users[i].token, { amount }))
+  );
+  const accepted = results.filter((res) => res.status === 200);
+  for (let i = 0; i < accepted.length; i += 1) {
+    await viewer.waitFor("bidUpdate");
+  }
+  // 再走一次 HTTP 往返，多余的 bidUpdate 此时也已经到达
+  const { body } = await srv.request("GET", `/api/auctions/${auction.id}`);
+  return {
+    results,
+    updates: viewer.received("bidUpdate"),
+    auction: body.auction,
+  };
+}
+
+test("并发出价：最终价格为最高的成功出价，失败的都是被超越或出价过低", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const amounts = [101, 105, 103, 110, 102, 108, 104, 109, 106, 107];
+  const { results, updates, auction } = await bidConcurrently(srv, amounts);
+
+  const accepted = results.filter((res) => res.status === 200);
+  assert.ok(accepted.length >= 1);
+  const highest = Math.max(...accepted.map((res) => res.body.data.newPrice));
+  assert.equal(Number(auction.current_price), highest);
+  for (const res of results) {
+    if (res.status !== 200) {
+      assert.ok(
+        ["BID_OUTBID", "BID_TOO_LOW"].includes(res.body.code),
+        JSON.stringify(res.body)
+      );
+    }
+  }
+  // 每个成功的出价恰好广播一次，且价格严格递增
+  assert.equal(updates.length, accepted.length);
+  assert.deepEqual(
+    updates.map((u) => u.bid.id).sort((a, b) => a - b),
+    accepted.map((res) => res.body.data.bid.id).sort((a, b) => a - b)
+  );
+  const prices = updates.map((u) => u.newPrice);
+  assert.deepEqual(
+    prices,
+    [...prices].sort((a, b) => a - b)
+  );
+
+  const bids = await srv.request(
+    "GET",
+    `/api/auctions/${auction.id}/bids?status=accepted`
+  );
+  assert.equal(bids.body.total, accepted.length);
+});
+
+test("并发出价：相同金额只有一个成功", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const { results, updates, auction } = await bidConcurrently(
+    srv,
+    Array(8).fill(101)
+  );
+
+  const accepted = results.filter((res) => res.status === 200);
+  assert.equal(accepted.length, 1);
+  assert.equal(Number(auction.current_price), 101);
+  // 都通过了校验，失败的都是在条件更新时被抢先
+  for (const res of results) {
+    if (res.status !== 200) {
+      assert.equal(res.body.code, "BID_OUTBID");
+      assert.deepEqual(res.body.details, {
+        currentPrice: 101,
+        minNextBid: 102,
+      });
+    }
+  }
+  assert.equal(updates.length, 1);
+  assert.equal(updates[0].userId, accepted[0].body.data.userId);
+
+  await srv.clock.advance(60000);
+  const result = await srv.request("GET", `/api/auctions/${auction.id}/result`);
+  assert.equal(result.body.winner, accepted[0].body.data.userId);
+});
+
+test("代理出价按金额判断当前领先者，与出价记录的写入顺序无关", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const auction = await srv.createAuction();
+  const alice = await srv.register("alice");
+  const bob = await srv.register("bob");
+  await bid(srv, auction.id, alice.token, { amount: 120 });
+  // 模拟 bob 一条更低的出价晚于 alice 的出价落库
+  await srv.store.recordBid({
+    auctionId: auction.id,
+    userId: "bob",
+    amount: 110,
+    status: "accepted",
+    at: new Date(srv.clock.now()),
+  });
+
+  // 领先的是 alice，bob 设置上限后应当自动出价超越她
+  const res = await bid(srv, auction.id, bob.token, { maxAmount: 200 });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.leading, true);
+  assert.equal(res.body.currentPrice, 121);
+});
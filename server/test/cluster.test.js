@@ -0,0 +1,228 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+const {
+  createLocalBroadcaster,
+  createLocalHub,
+} = require("../broadcast/local");
+const { createMemoryStore } = require("../store/memory");
+
+const iso = (ms) => new Date(ms).toISOString();
+
+// 在一个进程内模拟多节点：各节点共用同一个存储、时钟和广播 hub，先启动的节点成为 leader
+function createCluster(t) {
+  const hub = createLocalHub();
+  const nodes = [];
+  t.after(async () => {
+    for (const { srv, broadcaster } of nodes) {
+      await srv.close();
+      await broadcaster.close();
+    }
+  });
+  return async function startNode(options = {}) {
+    const first = nodes[0] && nodes[0].srv;
+    const broadcaster = createLocalBroadcaster({ hub });
+    const srv = await startServer({
+      clock: first && first.clock,
+      store: first && first.store,
+      ...options,
+      broadcaster,
+    });
+    nodes.push({ srv, broadcaster });
+    return srv;
+  };
+}
+
+async function joinAuction(srv, auctionId) {
+  const viewer = await srv.connect();
+  viewer.send({ type: "joinAuction", payload: { auctionId } });
+  await viewer.waitFor("auctionData");
+  return viewer;
+}
+
+test("多节点：任一节点上的出价推送给所有节点的连接", async (t) => {
+  const startNode = createCluster(t);
+  const a = await startNode();
+  const b = await startNode();
+  const auction = await a.createAuction();
+  const alice = await a.register("alice");
+  const viewerA = await joinAuction(a, auction.id);
+  const viewerB = await joinAuction(b, auction.id);
+
+  await a.request("POST", `/api/auctions/${auction.id}/bid`, {
+    token: alice.token,
+    body: { amount: 101 },
+  });
+  assert.equal((await viewerA.waitFor("bidUpdate")).newPrice, 101);
+  assert.equal((await viewerB.waitFor("bidUpdate")).newPrice, 101);
+
+  // 会话存在共用的存储里，另一个节点同样认得
+  await b.request("POST", `/api/auctions/${auction.id}/bid`, {
+    token: alice.token,
+    body: { amount: 102 },
+  });
+  assert.equal((await viewerA.waitFor("bidUpdate")).newPrice, 102);
+  assert.equal((await viewerB.waitFor("bidUpdate")).newPrice, 102);
+});
+
+test("多节点：到期只结算一次，每个连接只收到一条 auctionEnded", async (t) => {
+  const startNode = createCluster(t);
+  const a = await startNode();
+  const b = await startNode();
+  // 在非 leader 节点上创建的拍卖，由 leader 负责到点流转
+  const now = b.clock.now();
+  const auction = await b.createAuction({
+    startTime: iso(now + 10000),
+    endTime: iso(now + 60000),
+  });
+  const viewerA = await joinAuction(a, auction.id);
+  const viewerB = await joinAuction(b, auction.id);
+
+  await b.clock.advance(10000);
+  await viewerA.waitFor("auctionStarted");
+  await viewerB.waitFor("auctionStarted");
+  const { token } = await b.register("alice");
+  await b.request("POST", `/api/auctions/${auction.id}/bid`, {
+    token,
+    body: { amount: 120 },
+  });
+
+  await b.clock.advance(50000);
+  for (const viewer of [viewerA, viewerB]) {
+    const ended = await viewer.waitFor("auctionEnded");
+    assert.equal(ended.winner, "alice");
+    assert.equal(ended.finalPrice, 120);
+  }
+  // 服务端按顺序发送消息：收到 timeSync 的回复时，之前重复推送的 auctionEnded 一定已经到达
+  await b.clock.advance(5000);
+  for (const viewer of [viewerA, viewerB]) {
+    viewer.send({ type: "timeSync", payload: { clientTime: 1 } });
+    await viewer.waitFor("timeSync");
+    assert.equal(viewer.received("auctionEnded").length, 1);
+  }
+
+  const events = await a.request(
+    "GET",
+    `/api/auctions/${auction.id}/events?limit=100`
+  );
+  const types = events.body.items.map((e) => e.type);
+  assert.equal(types.filter((type) => type === "started").length, 1);
+  assert.equal(types.filter((type) => type === "ended").length, 1);
+});
+
+test("多节点：leader 失联后，租约过期由其他节点接替并补上错过的结算", async (t) => {
+  const startNode = createCluster(t);
+  const store = createMemoryStore();
+  // 节点 a 的存储连接可以被“断开”：续约租约失败
+  let connected = true;
+  const a = await startNode({
+    store: {
+      ...store,
+      acquireLease: (...args) =>
+        connected
+          ? store.acquireLease(...args)
+          : Promise.reject(new Error("存储连接已断开")),
+    },
+  });
+  const b = await startNode({ store });
+  const auction = await a.createAuction({
+    endTime: iso(a.clock.now() + 10000),
+  });
+  const viewer = await joinAuction(b, auction.id);
+
+  // 5 秒时 a 续约失败，不再执行流转；a 的租约 15 秒后才过期，期间没有 leader
+  connected = false;
+  await a.clock.advance(10000);
+  const pending = await b.request("GET", `/api/auctions/${auction.id}/result`);
+  assert.equal(pending.body.code, "AUCTION_NOT_SETTLED");
+  assert.equal(viewer.received("auctionEnded").length, 0);
+
+  // 20 秒时 b 拿到租约，立即补上错过的结算
+  await a.clock.advance(10000);
+  const ended = await viewer.waitFor("auctionEnded");
+  assert.equal(ended.outcome, "unsold");
+  const result = await b.request("GET", `/api/auctions/${auction.id}/result`);
+  assert.equal(result.body.outcome, "unsold");
+});
+
+test("多节点：leader 正常退出时释放租约，其他节点在下一次续约时接替", async (t) => {
+  const startNode = createCluster(t);
+  const a = await startNode();
+  const b = await startNode();
+  const auction = await a.createAuction({
+    endTime: iso(a.clock.now() + 10000),
+  });
+  const viewer = await joinAuction(b, auction.id);
+
+  await a.close();
+  await b.clock.advance(5000);
+  await b.clock.advance(5000);
+  const ended = await viewer.waitFor("auctionEnded");
+  assert.equal(ended.outcome, "unsold");
+});
+
+test("多节点：新 leader 接手时某个拍卖出错，不影响其他拍卖的流转", async (t) => {
+  const startNode = createCluster(t);
+  const store = createMemoryStore();
+  const a = await startNode({ store });
+  // 节点 b 读第一个拍卖时出错一次
+  let failing = null;
+  const b = await startNode({
+    store: {
+      ...store,
+      getAuction: (id) => {
+        if (id === failing) {
+          failing = null;
+          return Promise.reject(new Error("存储暂时不可用"));
+        }
+        return store.getAuction(id);
+      },
+    },
+  });
+  const endTime = iso(a.clock.now() + 10000);
+  const first = await a.createAuction({ endTime });
+  const second = await a.createAuction({ endTime });
+  const viewer = await b.connect();
+  viewer.send({
+    type: "subscribe",
+    payload: { auctionIds: [first.id, second.id] },
+  });
+  await viewer.waitFor("subscribed");
+  failing = first.id;
+
+  await a.close();
+  await b.clock.advance(5000);
+  assert.equal(failing, null);
+  await b.clock.advance(5000);
+  const ended = [
+    await viewer.waitFor("auctionEnded"),
+    await viewer.waitFor("auctionEnded"),
+  ];
+  assert.deepEqual(ended.map((e) => e.auctionId).sort(), [first.id, second.id]);
+});
+
+test("多节点：presence 的在线人数按所有节点的连接合计", async (t) => {
+  const startNode = createCluster(t);
+  const a = await startNode();
+  const b = await startNode();
+  const auction = await a.createAuction();
+  await joinAuction(a, auction.id);
+  const viewerB = await joinAuction(b, auction.id);
+
+  await a.clock.advance(1000);
+  await viewerB.waitFor("presence", (p) => p.viewers === 2);
+
+  const second = await joinAuction(a, auction.id);
+  await a.clock.advance(1000);
+  await viewerB.waitFor("presence", (p) => p.viewers === 3);
+
+  second.send({ type: "leaveAuction", payload: { auctionId: auction.id } });
+  await second.waitFor("unsubscribed");
+  await a.clock.advance(1000);
+  const presence = await viewerB.waitFor("presence", (p) => p.viewers === 2);
+  assert.equal(presence.bidders, 0);
+
+  // 节点正常退出时上报清零，其他节点只剩自己的连接
+  await a.close();
+  await viewerB.waitFor("presence", (p) => p.viewers === 1);
+});
@@ -0,0 +1,129 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+
+const iso = (ms) => new Date(ms).toISOString();
+const dutchFields = {
+  type: "dutch",
+  startingPrice: 200,
+  floorPrice: 50,
+  priceStep: 10,
+  stepSeconds: 10,
+};
+const accept = (srv, id, token) =>
+  srv.request("POST", `/api/auctions/${id}/accept`, { token });
+
+test("荷兰式拍卖：按当前时间的价格成交并广播 auctionEnded", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const auction = await srv.createAuction(dutchFields);
+  const alice = await srv.register("alice");
+  const bob = await srv.register("bob");
+  const viewer = await srv.connect();
+  viewer.send({ type: "joinAuction", payload: { auctionId: auction.id } });
+  await viewer.waitFor("auctionData");
+
+  // 25 秒后降了两次
+  await srv.clock.advance(25000);
+  const res = await accept(srv, auction.id, alice.token);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.outcome, "sold");
+  assert.equal(res.body.winner, "alice");
+  assert.equal(res.body.finalPrice, 180);
+
+  // 成交的出价先以 bidUpdate 推送，事件序号与 auctionEnded 连续
+  const update = await viewer.waitFor("bidUpdate");
+  assert.equal(update.newPrice, 180);
+  assert.equal(update.userId, "alice");
+  assert.equal(update.bid.amount, 180);
+  const ended = await viewer.waitFor("auctionEnded");
+  assert.equal(ended.winner, "alice");
+  assert.equal(ended.finalPrice, 180);
+  assert.equal(ended.seq, update.seq + 1);
+
+  const late = await accept(srv, auction.id, bob.token);
+  assert.equal(late.status, 409);
+  assert.equal(late.body.code, "ALREADY_SOLD");
+
+  const result = await srv.request("GET", `/api/auctions/${auction.id}/result`);
+  assert.equal(result.body.winner, "alice");
+  const bids = await srv.request("GET", `/api/auctions/${auction.id}/bids`);
+  assert.equal(bids.body.total, 1);
+  assert.equal(Number(bids.body.items[0].amount), 180);
+});
+
+test("荷兰式拍卖的价格不低于底价，到期无人接受则流拍", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const auction = await srv.createAuction({
+    ...dutchFields,
+    endTime: iso(srv.clock.now() + 600000),
+  });
+  const { token } = await srv.register("alice");
+
+  await srv.clock.advance(300000);
+  const res = await accept(srv, auction.id, token);
+  assert.equal(res.body.finalPrice, 50);
+
+  const other = await srv.createAuction(dutchFields);
+  await srv.clock.advance(60000);
+  const result = await srv.request("GET", `/api/auctions/${other.id}/result`);
+  assert.equal(result.body.outcome, "unsold");
+  const ended = await accept(srv, other.id, token);
+  assert.equal(ended.body.code, "AUCTION_ENDED");
+});
+
+test("接受当前价格的错误路径", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const now = srv.clock.now();
+  const pending = await srv.createAuction({
+    ...dutchFields,
+    startTime: iso(now + 10000),
+    endTime: iso(now + 60000),
+  });
+  const english = await srv.createAuction();
+  const { token } = await srv.register("alice");
+
+  assert.equal((await accept(srv, pending.id)).body.code, "UNAUTHORIZED");
+  assert.equal((await accept(srv, "x", token)).body.code, "INVALID_AUCTION_ID");
+  assert.equal((await accept(srv, 999, token)).body.code, "AUCTION_NOT_FOUND");
+  const wrongType = await accept(srv, english.id, token);
+  assert.equal(wrongType.body.code, "WRONG_AUCTION_TYPE");
+  assert.deepEqual(wrongType.body.details, { type: "english" });
+
+  const notStarted = await accept(srv, pending.id, token);
+  assert.equal(notStarted.body.code, "AUCTION_NOT_STARTED");
+
+  await srv.admin("POST", `/api/auctions/${pending.id}/cancel`);
+  const cancelled = await accept(srv, pending.id, token);
+  assert.equal(cancelled.body.code, "AUCTION_CANCELLED");
+});
+
+test("荷兰式拍卖的参数校验", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+
+  const missing = await srv.admin("POST", "/api/auctions", {
+    body: {
+      name: "荷兰式",
+      type: "dutch",
+      startTime: iso(srv.clock.now()),
+      endTime: iso(srv.clock.now() + 60000),
+      startingPrice: 200,
+    },
+  });
+  assert.equal(missing.body.code, "INVALID_AUCTION");
+  assert.match(missing.body.message, /floorPrice/);
+
+  const floor = await srv.admin("POST", "/api/auctions", {
+    body: {
+      name: "荷兰式",
+      startTime: iso(srv.clock.now()),
+      endTime: iso(srv.clock.now() + 60000),
+      ...dutchFields,
+      floorPrice: 300,
+    },
+  });
+  assert.equal(floor.body.message, "荷兰式拍卖的底价必须低于起拍价");
+});
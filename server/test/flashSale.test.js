@@ -0,0 +1,143 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+
+const iso = (ms) => new Date(ms).toISOString();
+const purchase = (srv, id, token, body) =>
+  srv.request("POST", `/api/auctions/${id}/purchase`, { token, body });
+
+test("秒杀抢购：扣减库存并广播 stockUpdate", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const auction = await srv.createAuction({
+    type: "flash_sale",
+    startingPrice: 9.9,
+    stock: 5,
+    purchaseLimit: 3,
+  });
+  assert.equal(auction.purchase_limit, 3);
+  const { token } = await srv.register("alice");
+  const viewer = await srv.connect();
+  viewer.send({ type: "joinAuction", payload: { auctionId: auction.id } });
+  await viewer.waitFor("auctionData");
+
+  const res = await purchase(srv, auction.id, token, { quantity: 2 });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.stock, 3);
+  assert.equal(res.body.purchased, 2);
+  assert.equal(Number(res.body.purchase.price), 9.9);
+
+  const update = await viewer.waitFor("stockUpdate");
+  assert.deepEqual(
+    { stock: update.stock, userId: update.userId, quantity: update.quantity },
+    { stock: 3, userId: "alice", quantity: 2 }
+  );
+
+  const mine = await srv.request(
+    "GET",
+    `/api/auctions/${auction.id}/purchase`,
+    { token }
+  );
+  assert.deepEqual(mine.body, { quantity: 2 });
+
+  // 卖出过即为成交，没有单一的得标人
+  await srv.clock.advance(60000);
+  const result = await srv.request("GET", `/api/auctions/${auction.id}/result`);
+  assert.equal(result.body.outcome, "sold");
+  assert.equal(result.body.winner, null);
+});
+
+test("秒杀默认每人限购 1 件", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const auction = await srv.createAuction({ type: "flash_sale", stock: 5 });
+  assert.equal(auction.purchase_limit, 1);
+  const { token } = await srv.register("alice");
+
+  assert.equal((await purchase(srv, auction.id, token)).status, 200);
+  const again = await purchase(srv, auction.id, token);
+  assert.equal(again.status, 400);
+  assert.equal(again.body.code, "PURCHASE_LIMIT_EXCEEDED");
+  assert.deepEqual(again.body.details, { stock: 4 });
+});
+
+test("秒杀抢购的错误路径", async (t) => {
+  // 本用例连续发出多次请求，放宽限流
+  const srv = await startServer({ limits: { bidPerUser: 100 } });
+  t.after(() => srv.close());
+  const now = srv.clock.now();
+  const auction = await srv.createAuction({
+    type: "flash_sale",
+    stock: 2,
+    purchaseLimit: null,
+  });
+  const pending = await srv.createAuction({
+    type: "flash_sale",
+    stock: 2,
+    startTime: iso(now + 10000),
+    endTime: iso(now + 60000),
+  });
+  const english = await srv.createAuction();
+  const alice = await srv.register("alice");
+  const bob = await srv.register("bob");
+
+  const anonymous = await purchase(srv, auction.id, null);
+  assert.equal(anonymous.body.code, "UNAUTHORIZED");
+  for (const body of [{ quantity: 0 }, { quantity: 1.5 }, { quantity: "1" }]) {
+    const res = await purchase(srv, auction.id, alice.token, body);
+    assert.equal(res.body.code, "INVALID_QUANTITY");
+  }
+  const invalidId = await purchase(srv, "x", alice.token);
+  assert.equal(invalidId.body.code, "INVALID_AUCTION_ID");
+
+  const missing = await purchase(srv, 999, alice.token);
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.code, "AUCTION_NOT_FOUND");
+  const notFlash = await purchase(srv, english.id, alice.token);
+  assert.equal(notFlash.body.code, "AUCTION_NOT_FOUND");
+
+  const notStarted = await purchase(srv, pending.id, alice.token);
+  assert.equal(notStarted.body.code, "AUCTION_NOT_STARTED");
+
+  const tooMany = await purchase(srv, auction.id, alice.token, {
+    quantity: 3,
+  });
+  assert.equal(tooMany.status, 409);
+  assert.equal(tooMany.body.code, "INSUFFICIENT_STOCK");
+  assert.deepEqual(tooMany.body.details, { stock: 2 });
+
+  await purchase(srv, auction.id, alice.token, { quantity: 2 });
+  const soldOut = await purchase(srv, auction.id, bob.token);
+  assert.equal(soldOut.status, 409);
+  assert.equal(soldOut.body.code, "SOLD_OUT");
+
+  await srv.admin("POST", `/api/auctions/${pending.id}/cancel`);
+  const cancelled = await purchase(srv, pending.id, alice.token);
+  assert.equal(cancelled.body.code, "AUCTION_CANCELLED");
+
+  await srv.clock.advance(60000);
+  const ended = await purchase(srv, auction.id, bob.token);
+  assert.equal(ended.body.code, "AUCTION_ENDED");
+
+  const anonymousQuery = await srv.request(
+    "GET",
+    `/api/auctions/${auction.id}/purchase`
+  );
+  assert.equal(anonymousQuery.body.code, "UNAUTHORIZED");
+  const invalidQuery = await srv.request("GET", "/api/auctions/x/purchase", {
+    token: alice.token,
+  });
+  assert.equal(invalidQuery.body.code, "INVALID_AUCTION_ID");
+});
+
+test("秒杀开抢后不能修改库存和价格", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const auction = await srv.createAuction({ type: "flash_sale", stock: 2 });
+
+  const res = await srv.admin("PATCH", `/api/auctions/${auction.id}`, {
+    body: { stock: 10 },
+  });
+  assert.equal(res.body.code, "AUCTION_LOCKED");
+  assert.equal(res.body.message, "秒杀已开始，不能修改价格和库存和限购");
+});
@@ -0,0 +1,235 @@
+// 集成测试的公共工具：内存存储 + 手动时钟起一个完整的服务（HTTP + WebSocket），监听随机端口
+// 本文件不含测试用例，node --test 执行到它时不会有输出
+const WebSocket = require("ws");
+const { createApp, hashPassword } = require("../app");
+const { createMemoryStore } = require("../store/memory");
+
+// 固定的起始时间，测试里的拍卖时间都相对它计算
+const START_TIME = Date.parse("2030-01-01T00:00:00.000Z");
+// 等待 WebSocket 消息的默认超时（毫秒，真实时间）
+const WAIT_TIMEOUT = 2000;
+
+// 让已经排队的 Promise 回调都执行完（内存存储的方法都是立即 resolve 的）
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+// 手动时钟：只有调用 advance 时时间才会前进，到期的定时器按到期时间依次执行
+function createManualClock(start = START_TIME) {
+  let now = start;
+  let timers = [];
+  let nextId = 1;
+  return {
+    now: () => now,
+    setTimeout(fn, ms) {
+      const timer = { id: nextId++, at: now + Math.max(0, ms || 0), fn };
+      timers.push(timer);
+      return timer;
+    },
+    clearTimeout(timer) {
+      timers = timers.filter((t) => t !== timer);
+    },
+    // 时间前进 ms 毫秒；每执行一个定时器都等它触发的异步流程跑完，再找下一个到期的
+    async advance(ms = 0) {
+      const target = now + ms;
+      for (;;) {
+        const [due] = timers
+          .filter((t) => t.at <= target)
+          .sort((a, b) => a.at - b.at || a.id - b.id);
+        if (!due) break;
+        timers = timers.filter((t) => t !== due);
+        now = Math.max(now, due.at);
+        due.fn();
+        await flush();
+      }
+      now = target;
+      await flush();
+    },
+  };
+}
+
+// 测试用的 WebSocket 客户端：收到的消息都留在 messages 里，waitFor 按类型（和条件）取出还没取过的第一条
+// options 原样传给 ws（如 { autoPong: false } 模拟不回 pong 的半开连接）
+function connectSocket(url, options) {
+  const ws = new WebSocket(url, options);
+  const messages = [];
+  const taken = new Set();
+  let waiters = [];
+
+  const match = (waiter, msg) =>
+    msg.type === waiter.type &&
+    (!waiter.predicate || waiter.predicate(msg.data));
+
+  ws.on("message", (raw) => {
+    const msg = JSON.parse(raw.toString());
+    messages.push(msg);
+    for (const waiter of waiters) {
+      if (!taken.has(msg) && match(waiter, msg)) {
+        taken.add(msg);
+        waiter.resolve(msg.data);
+        waiters = waiters.filter((w) => w !== waiter);
+        break;
+      }
+    }
+  });
+
+  const closed = new Promise((resolve) => {
+    ws.on("close", (code) => resolve(code));
+  });
+  // 被服务端断开（如消息超过 maxPayload）时 ws 也会触发 error，交给 closed 处理
+  ws.on("error", () => {});
+
+  const client = {
+    ws,
+    messages,
+    closed,
+    send: (message) =>
+      ws.send(typeof message === "string" ? message : JSON.stringify(message)),
+    // 已收到的某类消息的 data（不区分是否取过）
+    received: (type) =>
+      messages.filter((m) => m.type === type).map((m) => m.data),
+    waitFor(type, predicate, timeout = WAIT_TIMEOUT) {
+      const waiter = { type, predicate };
+      const found = messages.find((m) => !taken.has(m) && match(waiter, m));
+      if (found) {
+        taken.add(found);
+        return Promise.resolve(found.data);
+      }
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          waiters = waiters.filter((w) => w !== waiter);
+          reject(new Error(`等待 ${type} 消息超时`));
+        }, timeout);
+        waiter.resolve = (data) => {
+          clearTimeout(timer);
+          resolve(data);
+        };
+        waiters.push(waiter);
+      });
+    },
+    close() {
+      ws.terminate();
+      return closed;
+    },
+  };
+
+  return new Promise((resolve, reject) => {
+    ws.once("open", () => resolve(client));
+    ws.once("error", reject);
+  });
+}
+
+// 起一个完整的服务；返回 createApp 的结果，另带上发请求、注册用户、创建拍卖、连接 WebSocket 的便捷方法
+// 会预先创建管理员账号 admin，管理端接口通过 admin() 以管理员身份调用
+async function startServer({
+  clock = createManualClock(),
+  store = createMemoryStore(),
+  limits,
+  broadcaster,
+} = {}) {
+  await store.init();
+  const instance = await createApp({ store, clock, limits, broadcaster });
+  await new Promise((resolve) =>
+    instance.server.listen(0, "127.0.0.1", resolve)
+  );
+  const { port } = instance.server.address();
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const sockets = [];
+
+  // 发请求并解析响应体；raw 为原样发送的请求体（用于测试非法 JSON）
+  async function request(method, path, { body, token, raw } = {}) {
+    const headers = {};
+    if (body !== undefined || raw !== undefined) {
+      headers["Content-Type"] = "application/json";
+    }
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    const res = await fetch(baseUrl + path, {
+      method,
+      headers,
+      body: raw !== undefined ? raw : JSON.stringify(body),
+    });
+    const text = await res.text();
+    let data = text;
+    if ((res.headers.get("content-type") || "").includes("application/json")) {
+      data = JSON.parse(text);
+    }
+    return { status: res.status, headers: res.headers, body: data };
+  }
+
+  // 注册并登录，返回 { token, user }
+  async function register(username, password = "123456") {
+    const res = await request("POST", "/api/auth/register", {
+      body: { username, password },
+    });
+    if (res.status !== 201) {
+      throw new Error(`注册 ${username} 失败：${JSON.stringify(res.body)}`);
+    }
+    return res.body;
+  }
+
+  await store.createUser("admin", await hashPassword("123456"), "admin");
+  const login = await request("POST", "/api/auth/login", {
+    body: { username: "admin", password: "123456" },
+  });
+  const adminToken = login.body.token;
+
+  // 以管理员身份发请求
+  function admin(method, path, options = {}) {
+    return request(method, path, { ...options, token: adminToken });
+  }
+
+  // 创建拍卖，默认立即开始、60 秒后结束、起拍价 100；返回创建后的拍卖
+  async function createAuction(fields = {}) {
+    const now = clock.now();
+    const res = await admin("POST", "/api/auctions", {
+      body: {
+        name: "测试拍卖",
+        startTime: new Date(now).toISOString(),
+        endTime: new Date(now + 60000).toISOString(),
+        startingPrice: 100,
+        ...fields,
+      },
+    });
+    if (res.status !== 201) {
+      throw new Error(`创建拍卖失败：${JSON.stringify(res.body)}`);
+    }
+    return res.body.auction;
+  }
+
+  // 建立 WebSocket 连接，token 为登录 token（可选）
+  async function connect(token) {
+    const query = token ? `?token=${token}` : "";
+    const socket = await connectSocket(`ws://127.0.0.1:${port}${query}`);
+    sockets.push(socket);
+    await socket.waitFor("session");
+    return socket;
+  }
+
+  return {
+    ...instance,
+    clock,
+    store,
+    baseUrl,
+    port,
+    request,
+    admin,
+    adminToken,
+    register,
+    createAuction,
+    connect,
+    async close() {
+      for (const socket of sockets) {
+        socket.ws.terminate();
+      }
+      await instance.close();
+    },
+  };
+}
+
+module.exports = {
+  START_TIME,
+  flush,
+  createManualClock,
+  connectSocket,
+  startServer,
+};
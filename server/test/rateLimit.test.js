@@ -0,0 +1,186 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, connectSocket } = require("./helpers");
+
+const bid = (srv, id, token, amount) =>
+  srv.request("POST", `/api/auctions/${id}/bid`, { token, body: { amount } });
+
+test("按用户限流：返回 429、Retry-After 和 retryAfterMs，窗口过后恢复", async (t) => {
+  const srv = await startServer({
+    limits: { bidPerUser: 2, bidPerIp: 100, bidWindowMs: 10000 },
+  });
+  t.after(() => srv.close());
+  const auction = await srv.createAuction();
+  const alice = await srv.register("alice");
+  const bob = await srv.register("bob");
+
+  assert.equal((await bid(srv, auction.id, alice.token, 101)).status, 200);
+  assert.equal((await bid(srv, auction.id, alice.token, 102)).status, 200);
+  const limited = await bid(srv, auction.id, alice.token, 103);
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.code, "RATE_LIMITED");
+  // 令牌桶每 5 秒补一个令牌
+  assert.deepEqual(limited.body.details, { retryAfterMs: 5000 });
+  assert.equal(limited.headers.get("retry-after"), "5");
+
+  // 被限流的请求不落库
+  const bids = await srv.request("GET", `/api/auctions/${auction.id}/bids`);
+  assert.equal(bids.body.total, 2);
+
+  // 其他用户（同一个 IP）不受影响
+  assert.equal((await bid(srv, auction.id, bob.token, 103)).status, 200);
+
+  await srv.clock.advance(2000);
+  const later = await bid(srv, auction.id, alice.token, 104);
+  assert.equal(later.status, 429);
+  assert.equal(later.body.details.retryAfterMs, 3000);
+  assert.equal(later.headers.get("retry-after"), "3");
+
+  await srv.clock.advance(3000);
+  assert.equal((await bid(srv, auction.id, alice.token, 104)).status, 200);
+});
+
+test("按 IP 限流：多个用户共用同一个桶，未登录的请求同样计数", async (t) => {
+  const srv = await startServer({
+    limits: { bidPerUser: 100, bidPerIp: 3, bidWindowMs: 3000 },
+  });
+  t.after(() => srv.close());
+  const auction = await srv.createAuction();
+  const alice = await srv.register("alice");
+  const bob = await srv.register("bob");
+
+  // 先按 IP 限流再校验登录，未登录的请求也会消耗 IP 的令牌
+  assert.equal((await bid(srv, auction.id, null, 101)).status, 401);
+  assert.equal((await bid(srv, auction.id, alice.token, 101)).status, 200);
+  assert.equal((await bid(srv, auction.id, bob.token, 102)).status, 200);
+
+  const limited = await bid(srv, auction.id, alice.token, 103);
+  assert.equal(limited.status, 429);
+  assert.deepEqual(limited.body.details, { retryAfterMs: 1000 });
+  const anonymous = await bid(srv, auction.id, null, 103);
+  assert.equal(anonymous.status, 429);
+
+  // 秒杀抢购和荷兰式拍卖的接受与出价共用限流
+  const flash = await srv.createAuction({ type: "flash_sale", stock: 5 });
+  const purchase = await srv.request(
+    "POST",
+    `/api/auctions/${flash.id}/purchase`,
+    { token: bob.token }
+  );
+  assert.equal(purchase.status, 429);
+
+  await srv.clock.advance(1000);
+  assert.equal((await bid(srv, auction.id, alice.token, 103)).status, 200);
+});
+
+test("WebSocket 消息限流：超出的消息回复 RATE_LIMITED，下一秒恢复", async (t) => {
+  const srv = await startServer({ limits: { wsMessagesPerSecond: 3 } });
+  t.after(() => srv.close());
+  const ws = await srv.connect();
+  const other = await srv.connect();
+
+  for (let i = 1; i <= 5; i += 1) {
+    ws.send({ type: "timeSync", payload: { clientTime: i }, requestId: i });
+  }
+  for (let i = 1; i <= 3; i += 1) {
+    assert.equal((await ws.waitFor("timeSync")).requestId, i);
+  }
+  // 被限流的消息不做完整解析，但回复里同样带上 requestId
+  for (let i = 4; i <= 5; i += 1) {
+    const error = await ws.waitFor("error");
+    assert.equal(error.code, "RATE_LIMITED");
+    assert.equal(error.requestId, i);
+    assert.ok(error.details.retryAfterMs > 0);
+    assert.ok(error.details.retryAfterMs <= 1000);
+  }
+  assert.equal(ws.received("timeSync").length, 3);
+  ws.send({ type: "timeSync", requestId: 'a"b', payload: { clientTime: 7 } });
+  assert.equal((await ws.waitFor("error")).requestId, 'a"b');
+  ws.send({ type: "timeSync", payload: { clientTime: 8 } });
+  assert.equal((await ws.waitFor("error")).requestId, undefined);
+
+  // 按连接限流，其他连接不受影响
+  other.send({ type: "timeSync", payload: { clientTime: 1 }, requestId: "o" });
+  assert.equal((await other.waitFor("timeSync")).requestId, "o");
+
+  await srv.clock.advance(1000);
+  ws.send({ type: "timeSync", payload: { clientTime: 6 }, requestId: 6 });
+  assert.equal((await ws.waitFor("timeSync")).requestId, 6);
+});
+
+test("WebSocket subscribe 按拍卖数计入消息限流", async (t) => {
+  const srv = await startServer({ limits: { wsMessagesPerSecond: 5 } });
+  t.after(() => srv.close());
+  const ids = [];
+  for (let i = 0; i < 3; i += 1) {
+    ids.push((await srv.createAuction()).id);
+  }
+  const ws = await srv.connect();
+
+  // 一次最多携带的拍卖数不超过每秒消息数
+  ws.send({
+    type: "subscribe",
+    requestId: "big",
+    payload: { auctionIds: [1, 2, 3, 4, 5, 6] },
+  });
+  assert.equal((await ws.waitFor("error")).code, "INVALID_PAYLOAD");
+
+  ws.send({ type: "subscribe", requestId: 1, payload: { auctionIds: ids } });
+  assert.deepEqual((await ws.waitFor("subscribed")).auctionIds, ids);
+  // 桶里只剩 1 个令牌：这条消息本身计 1 次，另外 2 个拍卖不够扣
+  ws.send({ type: "subscribe", requestId: 2, payload: { auctionIds: ids } });
+  const error = await ws.waitFor("error");
+  assert.equal(error.code, "RATE_LIMITED");
+  assert.equal(error.requestId, 2);
+  assert.ok(error.details.retryAfterMs > 0);
+
+  await srv.clock.advance(1000);
+  ws.send({ type: "subscribe", requestId: 3, payload: { auctionIds: ids } });
+  assert.equal((await ws.waitFor("subscribed")).requestId, 3);
+});
+
+test("WebSocket 新建连接按 IP 限流，超出时以 429 拒绝握手", async (t) => {
+  const srv = await startServer({ limits: { wsConnectionsPerMinute: 2 } });
+  t.after(() => srv.close());
+  const url = `ws://127.0.0.1:${srv.port}`;
+
+  const first = await srv.connect();
+  await srv.connect();
+  await assert.rejects(connectSocket(url), /429/);
+  // 已建立的连接不受影响
+  first.send({ type: "timeSync", payload: { clientTime: 1 } });
+  await first.waitFor("timeSync");
+
+  // 每 30 秒补回一个名额
+  await srv.clock.advance(30000);
+  await srv.connect();
+  await assert.rejects(connectSocket(url), /429/);
+});
+
+test("WebSocket 消息超过 wsMaxPayload 时以 1009 关闭连接", async (t) => {
+  const srv = await startServer({ limits: { wsMaxPayload: 1024 } });
+  t.after(() => srv.close());
+  const ws = await srv.connect();
+
+  // 不超过上限的消息正常处理
+  ws.send({
+    type: "timeSync",
+    payload: { clientTime: 1 },
+    pad: "x".repeat(900),
+  });
+  await ws.waitFor("timeSync");
+
+  ws.send({
+    type: "timeSync",
+    payload: { clientTime: 2 },
+    pad: "x".repeat(2000),
+  });
+  assert.equal(await ws.closed, 1009);
+
+  // 服务端没有受影响，新的连接可以正常使用
+  const next = await srv.connect();
+  next.send({ type: "timeSync", payload: { clientTime: 3 } });
+  await next.waitFor("timeSync");
+  const rooms = await srv.request("GET", "/api/rooms");
+  assert.equal(rooms.body.connections, 1);
+});
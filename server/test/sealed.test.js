@@ -0,0 +1,149 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+
+const bid = (srv, id, token, body) =>
+  srv.request("POST", `/api/auctions/${id}/bid`, { token, body });
+
+test("密封出价：出价互不可见，结束时公开排名并按二价成交", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const auction = await srv.createAuction({
+    type: "sealed",
+    sealedPricing: "second",
+  });
+  const alice = await srv.register("alice");
+  const bob = await srv.register("bob");
+  const viewer = await srv.connect();
+  viewer.send({ type: "joinAuction", payload: { auctionId: auction.id } });
+  await viewer.waitFor("auctionData");
+
+  const first = await bid(srv, auction.id, alice.token, { amount: 300 });
+  assert.equal(first.status, 200);
+  assert.deepEqual(
+    { amount: first.body.amount, bidCount: first.body.bidCount },
+    { amount: 300, bidCount: 1 }
+  );
+  const update = await viewer.waitFor("bidUpdate");
+  assert.deepEqual(
+    { sealed: update.sealed, bidCount: update.bidCount },
+    { sealed: true, bidCount: 1 }
+  );
+  // 广播不带出价人和金额
+  assert.equal(update.newPrice, undefined);
+  assert.equal(update.userId, undefined);
+
+  await bid(srv, auction.id, bob.token, { amount: 200 });
+  // 结束前可以修改，可高可低
+  await bid(srv, auction.id, bob.token, { amount: 250 });
+
+  const mine = await srv.request(
+    "GET",
+    `/api/auctions/${auction.id}/sealed-bid`,
+    { token: bob.token }
+  );
+  assert.deepEqual(mine.body, { amount: 250 });
+  const bids = await srv.request("GET", `/api/auctions/${auction.id}/bids`);
+  assert.equal(bids.body.total, 0);
+
+  await srv.clock.advance(60000);
+  const ended = await viewer.waitFor("auctionEnded");
+  assert.equal(ended.winner, "alice");
+  assert.equal(ended.finalPrice, 250);
+  assert.deepEqual(ended.ranking, [
+    { rank: 1, userId: "alice", amount: 300 },
+    { rank: 2, userId: "bob", amount: 250 },
+  ]);
+
+  const result = await srv.request("GET", `/api/auctions/${auction.id}/result`);
+  assert.deepEqual(result.body.ranking, ended.ranking);
+  assert.equal(result.body.finalPrice, 250);
+
+  // 结算不改写 current_price，详情页的起拍价在结束后不变
+  const detail = await srv.request("GET", `/api/auctions/${auction.id}`);
+  assert.equal(Number(detail.body.auction.current_price), 100);
+  assert.equal(Number(detail.body.auction.final_price), 250);
+});
+
+test("密封出价的错误路径", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const auction = await srv.createAuction({ type: "sealed" });
+  const { token } = await srv.register("alice");
+
+  const tooLow = await bid(srv, auction.id, token, { amount: 99 });
+  assert.equal(tooLow.body.code, "BID_TOO_LOW");
+  assert.deepEqual(tooLow.body.details, {
+    currentPrice: 100,
+    minNextBid: 100,
+  });
+  const proxy = await bid(srv, auction.id, token, { maxAmount: 200 });
+  assert.equal(proxy.body.code, "PROXY_UNSUPPORTED");
+
+  const anonymous = await srv.request(
+    "GET",
+    `/api/auctions/${auction.id}/sealed-bid`
+  );
+  assert.equal(anonymous.body.code, "UNAUTHORIZED");
+  const invalid = await srv.request("GET", "/api/auctions/x/sealed-bid", {
+    token,
+  });
+  assert.equal(invalid.body.code, "INVALID_AUCTION_ID");
+  const none = await srv.request(
+    "GET",
+    `/api/auctions/${auction.id}/sealed-bid`,
+    { token }
+  );
+  assert.deepEqual(none.body, { amount: null });
+
+  await srv.clock.advance(60000);
+  const ended = await bid(srv, auction.id, token, { amount: 200 });
+  assert.equal(ended.body.code, "AUCTION_ENDED");
+  const result = await srv.request("GET", `/api/auctions/${auction.id}/result`);
+  assert.equal(result.body.outcome, "unsold");
+  assert.deepEqual(result.body.ranking, []);
+});
+
+test("密封出价按一价成交", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const auction = await srv.createAuction({ type: "sealed" });
+  assert.equal(auction.sealed_pricing, "first");
+  const alice = await srv.register("alice");
+  const bob = await srv.register("bob");
+
+  await bid(srv, auction.id, alice.token, { amount: 300 });
+  await bid(srv, auction.id, bob.token, { amount: 250 });
+  await srv.clock.advance(60000);
+
+  const result = await srv.request("GET", `/api/auctions/${auction.id}/result`);
+  assert.equal(result.body.winner, "alice");
+  assert.equal(result.body.finalPrice, 300);
+});
+
+test("已有密封出价后不能修改保留价", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const auction = await srv.createAuction({ type: "sealed" });
+  const { token } = await srv.register("alice");
+  const patch = (body) =>
+    srv.admin("PATCH", `/api/auctions/${auction.id}`, { body });
+
+  assert.equal((await patch({ reservePrice: 150 })).status, 200);
+  await bid(srv, auction.id, token, { amount: 200 });
+
+  const locked = await patch({ reservePrice: 1000 });
+  assert.equal(locked.body.code, "AUCTION_LOCKED");
+  assert.deepEqual(locked.body.details, { bidCount: 1 });
+  // 存储层的条件更新同样把密封出价算作出价
+  const updated = await srv.store.updateAuction(
+    auction.id,
+    { reserve_price: 1000 },
+    { expectedStatus: "running", requireNoBids: true }
+  );
+  assert.equal(updated, false);
+
+  await srv.clock.advance(60000);
+  const result = await srv.request("GET", `/api/auctions/${auction.id}/result`);
+  assert.equal(result.body.outcome, "sold");
+});
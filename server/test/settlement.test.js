@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+
+test("得标人为金额最高的成功出价，与出价记录的写入顺序无关", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const auction = await srv.createAuction();
+  const { token } = await srv.register("alice");
+  await srv.request("POST", `/api/auctions/${auction.id}/bid`, {
+    token,
+    body: { amount: 120 },
+  });
+  // 模拟一条更早的出价晚于最高出价落库
+  await srv.store.recordBid({
+    auctionId: auction.id,
+    userId: "bob",
+    amount: 110,
+    status: "accepted",
+    at: new Date(srv.clock.now()),
+  });
+
+  await srv.clock.advance(60000);
+  const result = await srv.request("GET", `/api/auctions/${auction.id}/result`);
+  assert.equal(result.status, 200);
+  assert.equal(result.body.winner, "alice");
+  assert.equal(result.body.finalPrice, 120);
+});
+
+test("结算一直不成功时先快速重试，之后放慢频率继续重试直到成功", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const auction = await srv.createAuction();
+  const endAuction = srv.store.endAuction;
+  let attempts = 0;
+  let broken = true;
+  srv.store.endAuction = async (...args) => {
+    attempts += 1;
+    return broken ? null : endAuction(...args);
+  };
+
+  // 到期时结算一次，之后每 200 毫秒重试一次，快速重试 5 次
+  await srv.clock.advance(60000);
+  await srv.clock.advance(5 * 200);
+  assert.equal(attempts, 6);
+
+  // 之后按退避的上限（30 秒）继续重试，不会放弃
+  await srv.clock.advance(29999);
+  assert.equal(attempts, 6);
+  await srv.clock.advance(1);
+  assert.equal(attempts, 7);
+  await srv.clock.advance(30000);
+  assert.equal(attempts, 8);
+  const running = await srv.request("GET", `/api/auctions/${auction.id}`);
+  assert.equal(running.body.auction.status, "running");
+
+  broken = false;
+  await srv.clock.advance(30000);
+  assert.equal(attempts, 9);
+  const detail = await srv.request("GET", `/api/auctions/${auction.id}`);
+  assert.equal(detail.body.auction.status, "ended");
+});
+
+test("状态流转出错时按退避重试，存储恢复后补上结算", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const auction = await srv.createAuction();
+  const viewer = await srv.connect();
+  viewer.send({ type: "joinAuction", payload: { auctionId: auction.id } });
+  await viewer.waitFor("auctionData");
+  const endAuction = srv.store.endAuction;
+  let failures = 2;
+  srv.store.endAuction = async (...args) => {
+    if (failures > 0) {
+      failures -= 1;
+      throw new Error("存储暂时不可用");
+    }
+    return endAuction(...args);
+  };
+
+  // 到期时出错，1 秒后重试再出错，再过 2 秒重试成功
+  await srv.clock.advance(60000);
+  await srv.clock.advance(1000);
+  assert.equal(failures, 0);
+  const pending = await srv.request("GET", `/api/auctions/${auction.id}`);
+  assert.equal(pending.body.auction.status, "running");
+
+  await srv.clock.advance(2000);
+  const ended = await viewer.waitFor("auctionEnded");
+  assert.equal(ended.outcome, "unsold");
+  const detail = await srv.request("GET", `/api/auctions/${auction.id}`);
+  assert.equal(detail.body.auction.status, "ended");
+});
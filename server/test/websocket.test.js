@@ -0,0 +1,228 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { connectSocket, startServer } = require("./helpers");
+
+test("session 消息：匿名、已登录和无效 token", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const { token } = await srv.register("alice");
+
+  const anonymous = await srv.connect();
+  assert.deepEqual(anonymous.received("session"), [{ user: null }]);
+  const loggedIn = await srv.connect(token);
+  assert.equal(loggedIn.received("session")[0].user.username, "alice");
+  const invalid = await srv.connect("invalid");
+  assert.deepEqual(invalid.received("session"), [
+    { user: null, reason: "invalid_token" },
+  ]);
+});
+
+test("joinAuction → bidUpdate → auctionEnded", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const auction = await srv.createAuction();
+  const { token } = await srv.register("alice");
+  await srv.request("POST", `/api/auctions/${auction.id}/bid`, {
+    token,
+    body: { amount: 101 },
+  });
+
+  const viewer = await srv.connect();
+  viewer.send({
+    type: "joinAuction",
+    payload: { auctionId: auction.id },
+    requestId: "r1",
+  });
+  const data = await viewer.waitFor("auctionData");
+  assert.equal(data.auction.id, auction.id);
+  assert.equal(data.recentBids.length, 1);
+  assert.equal(data.missedBids, undefined);
+  const subscribed = await viewer.waitFor("subscribed");
+  assert.deepEqual(subscribed, {
+    requestId: "r1",
+    auctionIds: [auction.id],
+    lobby: false,
+    errors: [],
+  });
+
+  await srv.request("POST", `/api/auctions/${auction.id}/bid`, {
+    token,
+    body: { amount: 120 },
+  });
+  const update = await viewer.waitFor("bidUpdate");
+  assert.equal(update.newPrice, 120);
+  assert.equal(update.bid.amount, 120);
+
+  await srv.clock.advance(60000);
+  const ended = await viewer.waitFor("auctionEnded");
+  assert.deepEqual(
+    { outcome: ended.outcome, winner: ended.winner, price: ended.finalPrice },
+    { outcome: "sold", winner: "alice", price: 120 }
+  );
+  assert.equal(ended.seq, update.seq + 1);
+
+  // 离开房间后不再收到该拍卖的广播
+  viewer.send({ type: "leaveAuction", payload: { auctionId: auction.id } });
+  const left = await viewer.waitFor("unsubscribed");
+  assert.deepEqual(left.auctionIds, [auction.id]);
+});
+
+test("subscribe：断线重连补发出价、lobby 快照和摘要", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const auction = await srv.createAuction();
+  const { token } = await srv.register("alice");
+  const first = await srv.request("POST", `/api/auctions/${auction.id}/bid`, {
+    token,
+    body: { amount: 101 },
+  });
+  await srv.request("POST", `/api/auctions/${auction.id}/bid`, {
+    token,
+    body: { amount: 102 },
+  });
+
+  const viewer = await srv.connect();
+  viewer.send({
+    type: "subscribe",
+    payload: {
+      auctionIds: [auction.id, 999, "x"],
+      lobby: true,
+      sinceBidIds: { [auction.id]: first.body.data.bid.id },
+    },
+  });
+  const data = await viewer.waitFor("auctionData");
+  assert.deepEqual(
+    data.missedBids.map((b) => b.amount),
+    [102]
+  );
+  const snapshot = await viewer.waitFor("lobbySnapshot");
+  assert.equal(snapshot.auctions.length, 1);
+  const subscribed = await viewer.waitFor("subscribed");
+  assert.deepEqual(subscribed.auctionIds, [auction.id]);
+  assert.equal(subscribed.lobby, true);
+  assert.deepEqual(
+    subscribed.errors.map((e) => [e.auctionId, e.code]),
+    [
+      [999, "AUCTION_NOT_FOUND"],
+      ["x", "INVALID_AUCTION_ID"],
+    ]
+  );
+
+  await srv.createAuction({ name: "新拍卖" });
+  const summary = await viewer.waitFor(
+    "auctionSummary",
+    (d) => d.auction.name === "新拍卖"
+  );
+  assert.equal(summary.auction.status, "running");
+
+  viewer.send({
+    type: "unsubscribe",
+    payload: { auctionIds: [auction.id, 999], lobby: true },
+  });
+  const left = await viewer.waitFor("unsubscribed");
+  assert.deepEqual(left.auctionIds, [auction.id]);
+  assert.deepEqual(
+    left.errors.map((e) => e.code),
+    ["NOT_SUBSCRIBED"]
+  );
+});
+
+test("presence：推送房间在线人数和出价人数", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const auction = await srv.createAuction();
+  const a = await srv.connect();
+  const b = await srv.connect();
+  for (const ws of [a, b]) {
+    ws.send({ type: "joinAuction", payload: { auctionId: auction.id } });
+    await ws.waitFor("auctionData");
+  }
+
+  await srv.clock.advance(1000);
+  const presence = await a.waitFor("presence");
+  assert.equal(presence.viewers, 2);
+  assert.equal(presence.bidders, 0);
+
+  const rooms = await srv.request("GET", "/api/rooms");
+  assert.deepEqual(rooms.body, {
+    connections: 2,
+    lobby: 0,
+    rooms: { [auction.id]: 2 },
+  });
+});
+
+test("错误消息：非法 JSON、未知类型、参数错误", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const ws = await srv.connect();
+
+  ws.send("{not json");
+  const invalidJson = await ws.waitFor("error");
+  assert.equal(invalidJson.code, "INVALID_JSON");
+  assert.equal(invalidJson.requestId, undefined);
+
+  ws.send({ type: "foo", requestId: "r2" });
+  const unknown = await ws.waitFor("error");
+  assert.deepEqual(unknown, {
+    requestId: "r2",
+    code: "UNKNOWN_MESSAGE_TYPE",
+    message: "未知的消息类型：foo",
+    details: { type: "foo" },
+  });
+
+  ws.send({ type: "subscribe", payload: { auctionIds: "1" }, requestId: "r3" });
+  const payload = await ws.waitFor("error");
+  assert.equal(payload.code, "INVALID_PAYLOAD");
+  assert.equal(payload.requestId, "r3");
+
+  ws.send({ type: "timeSync", payload: {}, requestId: "r4" });
+  const badSync = await ws.waitFor("error");
+  assert.equal(badSync.code, "INVALID_PAYLOAD");
+});
+
+test("timeSync：带回客户端时间和服务端收发时间", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const ws = await srv.connect();
+
+  ws.send({ type: "timeSync", payload: { clientTime: 42 }, requestId: "t1" });
+  const sync = await ws.waitFor("timeSync");
+  assert.deepEqual(sync, {
+    requestId: "t1",
+    clientTime: 42,
+    receiveTime: srv.clock.now(),
+    sendTime: srv.clock.now(),
+  });
+});
+
+test("心跳：按时钟定期 ping 并推送 heartbeat，不回 pong 的连接在下一轮被断开", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.close());
+  const alive = await srv.connect();
+  // 不自动回 pong，模拟半开连接
+  const silent = await connectSocket(`ws://127.0.0.1:${srv.port}`, {
+    autoPong: false,
+  });
+  t.after(() => silent.close());
+  await silent.waitFor("session");
+
+  await srv.clock.advance(29999);
+  assert.equal(alive.received("heartbeat").length, 0);
+
+  await srv.clock.advance(1);
+  for (const ws of [alive, silent]) {
+    const heartbeat = await ws.waitFor("heartbeat");
+    assert.equal(heartbeat.interval, 30000);
+    assert.equal(heartbeat.serverTime, new Date(srv.clock.now()).toISOString());
+  }
+  // pong 先于这条消息发出：收到 timeSync 的回复时服务端已经处理过 pong
+  alive.send({ type: "timeSync", payload: { clientTime: 1 } });
+  await alive.waitFor("timeSync");
+
+  await srv.clock.advance(30000);
+  assert.equal(await silent.closed, 1006);
+  assert.equal(silent.received("heartbeat").length, 1);
+  await alive.waitFor("heartbeat");
+  const rooms = await srv.request("GET", "/api/rooms");
+  assert.equal(rooms.body.connections, 1);
+});